@@ -1,6 +1,8 @@
 import os
 import io
 import uuid
+import time
+import secrets
 import tempfile
 from typing import List, Optional, Dict, Any
 
@@ -8,7 +10,7 @@ import torch
 import numpy as np
 import cv2
 from PIL import Image
-from fastapi import FastAPI, UploadFile, File, HTTPException, Body
+from fastapi import FastAPI, UploadFile, File, HTTPException, Body, Depends, Header
 from fastapi.middleware.cors import CORSMiddleware
 from fastapi.staticfiles import StaticFiles
 from pydantic import BaseModel
@@ -21,6 +23,10 @@ from segment_anything import sam_model_registry, SamPredictor
 PASSWORDS = ["pass1", "pass2", "pass3", "pass4"]  # rotate list
 current_index = 0
 
+# Bearer tokens handed out by /auth (in memory, like the sessions)
+TOKEN_TTL_SECONDS = int(os.environ.get("TOKEN_TTL_SECONDS", 8 * 3600))
+_tokens: Dict[str, Dict[str, Any]] = {}  # token -> {"user", "expires_at"}
+
 
 # -------------------------
 # FastAPI app & CORS
@@ -61,6 +67,14 @@ except Exception as e:
 # Session cache
 # -------------------------
 _sessions: Dict[str, Dict[str, Any]] = {}
+# Sessions the frontend never ended (closed tab, expired login) are dropped after this idle time
+SESSION_IDLE_SECONDS = int(os.environ.get("SESSION_IDLE_SECONDS", 30 * 60))
+
+
+def _drop_idle_sessions():
+    now = time.time()
+    for sid in [sid for sid, sess in _sessions.items() if now - sess["last_used"] > SESSION_IDLE_SECONDS]:
+        del _sessions[sid]
 
 
 def _to_np_image(file_bytes: bytes) -> np.ndarray:
@@ -68,10 +82,11 @@ def _to_np_image(file_bytes: bytes) -> np.ndarray:
     return np.array(img)
 
 
-def _mask_to_polygons(mask: np.ndarray, simplify_eps: float = 1.5, min_area_px: int = 150) -> List[List[List[float]]]:
+def _mask_to_polygons(mask: np.ndarray, simplify_eps: float = 1.5, min_area_px: int = 150):
     """
     Convert a boolean mask to polygons. Apply light morphology and area filter.
-    Returns list of polygons [[[x,y], ...], ...].
+    Returns (polygons, holes): polygons is the list of outer contours [[[x,y], ...], ...],
+    holes[i] lists the hole contours inside polygons[i].
     """
     mask_u8 = (mask.astype(np.uint8) * 255)
 
@@ -79,20 +94,52 @@ def _mask_to_polygons(mask: np.ndarray, simplify_eps: float = 1.5, min_area_px:
     kernel = np.ones((3, 3), np.uint8)
     mask_u8 = cv2.morphologyEx(mask_u8, cv2.MORPH_OPEN, kernel)
 
-    contours, _ = cv2.findContours(mask_u8, cv2.RETR_EXTERNAL, cv2.CHAIN_APPROX_SIMPLE)
-    polys: List[List[List[float]]] = []
-    for cnt in contours:
+    # two-level hierarchy: outer contours and the holes directly inside them
+    contours, hierarchy = cv2.findContours(mask_u8, cv2.RETR_CCOMP, cv2.CHAIN_APPROX_SIMPLE)
+    if hierarchy is None:
+        return [], []
+    hierarchy = hierarchy[0]
+
+    def _simplify(cnt) -> Optional[List[List[float]]]:
         if cv2.contourArea(cnt) < min_area_px:
-            continue
+            return None
         if simplify_eps > 0:
             cnt = cv2.approxPolyDP(cnt, epsilon=simplify_eps, closed=True)
         pts = cnt.reshape(-1, 2).astype(float).tolist()
-        if len(pts) >= 3:
-            polys.append(pts)
+        return pts if len(pts) >= 3 else None
+
+    parts = []
+    for idx, cnt in enumerate(contours):
+        if hierarchy[idx][3] != -1:
+            continue  # holes are collected with their parent
+        outer = _simplify(cnt)
+        if outer is None:
+            continue
+        holes = []
+        child = hierarchy[idx][2]
+        while child != -1:
+            hole = _simplify(contours[child])
+            if hole is not None:
+                holes.append(hole)
+            child = hierarchy[child][0]
+        parts.append((outer, holes))
 
     # Sort by area descending (largest first)
-    polys.sort(key=lambda poly: cv2.contourArea(np.array(poly, dtype=np.float32)), reverse=True)
-    return polys
+    parts.sort(key=lambda part: cv2.contourArea(np.array(part[0], dtype=np.float32)), reverse=True)
+    return [outer for outer, _ in parts], [holes for _, holes in parts]
+
+
+def require_token(authorization: Optional[str] = Header(None)) -> Dict[str, Any]:
+    """Dependency: the caller must send `Authorization: Bearer <token>` with a live token."""
+    scheme, _, token = (authorization or "").partition(" ")
+    info = _tokens.get(token) if scheme.lower() == "bearer" else None
+    if info and info["expires_at"] < time.time():
+        _tokens.pop(token, None)  # only a presented, expired bearer token is dropped
+        info = None
+    if not info:
+        raise HTTPException(status_code=401, detail="Not authenticated or token expired",
+                            headers={"WWW-Authenticate": "Bearer"})
+    return {"token": token, **info}
 
 
 # -------------------------
@@ -111,7 +158,7 @@ class SegmentRequest(BaseModel):
 # -------------------------
 @app.get("/health")
 async def health():
-    info = {"status": "ok", "device": DEVICE}
+    info = {"status": "ok", "device": DEVICE, "sessions": len(_sessions)}
     if DEVICE == "cuda":
         try:
             info["cuda_device_name"] = torch.cuda.get_device_name(0)
@@ -128,12 +175,30 @@ async def auth(data: Dict[str, str]):
     if password == PASSWORDS[current_index]:
         # Rotate password (next one in list)
         current_index = (current_index + 1) % len(PASSWORDS)
-        return {"ok": True}
+        # drop expired tokens while we are here
+        now = time.time()
+        for t in [t for t, info in _tokens.items() if info["expires_at"] < now]:
+            del _tokens[t]
+        token = secrets.token_urlsafe(32)
+        user = (data.get("username") or "").strip() or "annotator"
+        _tokens[token] = {"user": user, "expires_at": now + TOKEN_TTL_SECONDS}
+        return {"ok": True, "token": token, "user": user, "expires_in": TOKEN_TTL_SECONDS}
     raise HTTPException(status_code=401, detail="Invalid password")
 
 
+@app.get("/auth/me")
+async def auth_me(auth: Dict[str, Any] = Depends(require_token)):
+    return {"user": auth["user"], "expires_in": int(auth["expires_at"] - time.time())}
+
+
+@app.post("/auth/logout")
+async def auth_logout(auth: Dict[str, Any] = Depends(require_token)):
+    _tokens.pop(auth["token"], None)
+    return {"status": "logged out"}
+
+
 @app.post("/session/start")
-async def start_session(file: UploadFile = File(...)):
+async def start_session(file: UploadFile = File(...), auth: Dict[str, Any] = Depends(require_token)):
     """Upload an image, cache its embedding, return session_id & image URL."""
     try:
         contents = await file.read()
@@ -149,6 +214,7 @@ async def start_session(file: UploadFile = File(...)):
         f.write(contents)
 
     # Create predictor
+    _drop_idle_sessions()
     predictor = SamPredictor(sam)
     predictor.set_image(img_np)
 
@@ -156,7 +222,8 @@ async def start_session(file: UploadFile = File(...)):
     _sessions[session_id] = {
         "predictor": predictor,
         "image_size": [int(img_np.shape[1]), int(img_np.shape[0])],
-        "image_url": f"/uploads/{img_filename}"
+        "image_url": f"/uploads/{img_filename}",
+        "last_used": time.time(),
     }
 
     return {
@@ -167,12 +234,13 @@ async def start_session(file: UploadFile = File(...)):
 
 
 @app.post("/segment")
-async def segment(req: SegmentRequest):
+async def segment(req: SegmentRequest, auth: Dict[str, Any] = Depends(require_token)):
     """Predict polygons from clicks/box for a cached session image."""
     sess = _sessions.get(req.session_id)
     if not sess:
         raise HTTPException(status_code=404, detail="Invalid session_id. Please start a session first.")
 
+    sess["last_used"] = time.time()
     predictor: SamPredictor = sess["predictor"]
 
     point_coords = None
@@ -202,10 +270,11 @@ async def segment(req: SegmentRequest):
 
     out = []
     for m, s in zip(masks, scores):
-        polys = _mask_to_polygons(m)
+        polys, holes = _mask_to_polygons(m)
         out.append({
             "score": float(s),
-            "polygons": polys
+            "polygons": polys,
+            "holes": holes
         })
 
     return {
@@ -216,7 +285,7 @@ async def segment(req: SegmentRequest):
 
 
 @app.post("/session/end")
-async def end_session(session_id: str = Body(..., embed=True)):
+async def end_session(session_id: str = Body(..., embed=True), auth: Dict[str, Any] = Depends(require_token)):
     if session_id in _sessions:
         del _sessions[session_id]
         return {"status": "ended"}
@@ -1,30 +1,47 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Stage, Layer, Group, Image as KonvaImage, Circle, Line, Rect, Text } from "react-konva";
+import { Stage, Layer, Group, Circle, Line, Rect } from "react-konva";
 import useImage from "use-image";
-import axios from "axios";
 import frontImage from "./assets/front_image.jpeg";
-
-// --------- CONFIG (no process.env here to avoid "process is not defined") ----------
-const API_BASE = (window && window.API_BASE) || "http://localhost:8000";
+import ImageStrip from "./components/ImageStrip";
+import LabelBar from "./components/LabelBar";
+import LabelManager from "./components/LabelManager";
+import DraftManager from "./components/DraftManager";
+import HistoryPanel from "./components/HistoryPanel";
+import ObjectList from "./components/ObjectList";
+import PropertiesPanel from "./components/PropertiesPanel";
+import ShapePath from "./components/ShapePath";
+import ImageLayer from "./components/ImageLayer";
+import AnnotationLayer from "./components/AnnotationLayer";
+import EditableShape from "./components/EditableShape";
+import FpsMeter from "./components/FpsMeter";
+import DisplayPanel from "./components/DisplayPanel";
+import ReferenceLayer from "./components/ReferenceLayer";
+import ComparePanel from "./components/ComparePanel";
+import SuggestionLayer from "./components/SuggestionLayer";
+import AutoAnnotatePanel from "./components/AutoAnnotatePanel";
+import ValidationPanel from "./components/ValidationPanel";
+import ReviewPanel from "./components/ReviewPanel";
+import CommandPalette from "./components/CommandPalette";
+import ShortcutSettings from "./components/ShortcutSettings";
+import { nearestEdge, allRings, getRing, ringUpdate, ringField, pointInShape, shapeBbox, maskShape } from "./utils/geometry";
+import { FORMATS, getFormat } from "./formats";
+import { unionShapes, differenceShapes, intersectShapes, splitShape } from "./utils/boolean";
+import { makeZip } from "./utils/zip";
+import { benchmarkPolygons } from "./utils/benchmark";
+import { imagePixels, floodFill, grabCut, traceMask } from "./utils/wand";
+import { DEFAULT_ADJUST, DEFAULT_OVERLAY } from "./utils/display";
+import { matchAnnotations, compareSummary, compareCSV } from "./utils/compare";
+import { gridPrompts, suppressDuplicates } from "./utils/proposals";
+import { validateImage, openIssues, ruleTitle, loadBlockExport, saveBlockExport } from "./utils/validation";
+import { baseName } from "./utils/files";
+import { comboFromEvent, isTypingTarget, loadBindings, saveBindings, findAction, keysFor } from "./utils/shortcuts";
+import { emptyHistory, pushEntry, applyOps, travel, addPolygon, removePolygon, updatePolygon, replacePolygons, movePolygon, setPrompt } from "./utils/history";
+import { imageKey, saveDraft, saveFile, saveSession, loadSession, listDrafts, loadDraft, deleteDraft, clearDrafts } from "./utils/drafts";
+import { loadLabels, saveLabels, labelColor, withLabels, withAttributeSchema, parseLabelSet, findLabel } from "./utils/labels";
+import { attributeValues, coerceAttribute } from "./utils/attributes";
+import { api, API_BASE, loadAuth, clearAuth, login, logout, onUnauthorized } from "./utils/api";
 
 // --------- UTILS ----------
-function centroid(poly) {
-  if (!poly?.length) return [0, 0];
-  let sx = 0, sy = 0;
-  for (const [x, y] of poly) { sx += x; sy += y; }  
-  return [sx / poly.length, sy / poly.length];
-}
-
-function pointInPoly(x, y, poly) {
-  let inside = false;
-  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
-    const [xi, yi] = poly[i], [xj, yj] = poly[j];
-    const intersect = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
-
 function download(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
@@ -33,31 +50,101 @@ function download(filename, blob) {
   URL.revokeObjectURL(url);
 }
 
+// Natural size of an image URL (project images that were never opened)
+function loadImageSize(url) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = () => reject(new Error("Could not read image size"));
+    img.src = url;
+  });
+}
+
 // --------- APP ----------
 export default function App() {
 
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
+  // Auth: {token, user, expiresAt} from /auth; a reload keeps it until it expires
+  const [auth, setAuth] = useState(loadAuth);
+  const isLoggedIn = !!auth;
+  const [username, setUsername] = useState(() => loadAuth()?.user || "");
   const [password, setPassword] = useState("");
+  const [authNotice, setAuthNotice] = useState("");
+  const [userMenuOpen, setUserMenuOpen] = useState(false);
 
-   const [images, setImages] = useState([]);
+  // Project: every image keeps its own annotations, history and backend session
+  const [images, setImages] = useState([]);            // {id, key, file, url, sessionId, polygons, history, done, width, height}
+                                                       // only the open image holds a backend session, it is ended on switch
+  const [activeImageId, setActiveImageId] = useState(null);
+  const activeImageIdRef = useRef(null);
   const [annotations, setAnnotations] = useState([]);
   const canvasRef = useRef();
 
   
-    // Session & image
+    // Session & image (live copy of the active project image)
   const [sessionId, setSessionId] = useState(null);
   const [imageFile, setImageFile] = useState(null);
   const [imageUrl, setImageUrl] = useState(null);
   const [imageObj] = useImage(imageUrl);
 
   // Modes
-  const [mode, setMode] = useState(null); // 'points' | 'edit' | null (removed 'box' and 'draw')
+  const [mode, setMode] = useState(null); // 'points' | 'box' | 'draw' | 'edit' | null
 
   // Annotation state (image coordinates)
-  const [points, setPoints] = useState([]);            // [[x,y], ...]
-  const [polygons, setPolygons] = useState([]);        // {id, points:[[x,y]], label, score?}
+  const [points, setPoints] = useState([]);            // [[x,y,label], ...] label: 1 = include, 0 = exclude
+  const [box, setBox] = useState(null);                // [x1,y1,x2,y2] SAM box prompt
+  const [boxDraft, setBoxDraft] = useState(null);      // [x1,y1,x2,y2] while dragging
+  const [polygons, setPolygons] = useState([]);        // {id, points:[[x,y]], rings?:[[[x,y]]], label, score?, attributes?, hidden?, locked?} rings = extra parts and holes
   const [selectedPolygonId, setSelectedPolygonId] = useState(null);
-  const [dragIdx, setDragIdx] = useState(null);
+  const [selectedVertex, setSelectedVertex] = useState(null); // {ring, idx} in the selected polygon
+  const [extraSelectedIds, setExtraSelectedIds] = useState([]); // shift-clicked in edit mode, combined into the selected polygon
+  const [splitPoints, setSplitPoints] = useState(null);          // null, or the [[x,y]] start of a split line being drawn
+
+  // Manual drawing (click-to-place polygon)
+  const [drawPoints, setDrawPoints] = useState([]);     // [[x,y], ...] vertices placed so far
+  const [cursorPos, setCursorPos] = useState(null);     // [x,y] for the rubber-band edge
+
+  // Label taxonomy (class names, colors, number-key hotkeys)
+  const [labels, setLabels] = useState(loadLabels);
+  const [activeLabel, setActiveLabel] = useState(() => loadLabels()[0].name);
+  const [showLabelManager, setShowLabelManager] = useState(false);
+
+  // Annotation file format used by Save / Load
+  const [exportFormat, setExportFormat] = useState("json");
+  const [formatOptions, setFormatOptions] = useState({});
+
+  // Multi-mask candidates waiting for the user to pick one
+  const [multimask, setMultimask] = useState(false);
+  const [candidates, setCandidates] = useState(null); // [{score, polygons}] sorted by score
+  const [candidateIdx, setCandidateIdx] = useState(0);
+
+  // Magic wand: color tolerance (0-255 per channel) for its flood fill
+  const [wandTolerance, setWandTolerance] = useState(32);
+
+  // "Segment everything": suggestions from a grid of point prompts, not annotations until accepted
+  const [showAuto, setShowAuto] = useState(false);
+  const [autoSettings, setAutoSettings] = useState({ grid: 16, minScore: 0.88, maxIoU: 0.5 });
+  const [autoProgress, setAutoProgress] = useState(null); // {done, total} while a pass runs
+  const [suggestions, setSuggestions] = useState([]);     // [{id, points, rings?, score, label, checked}]
+  const [hoverSuggestionId, setHoverSuggestionId] = useState(null);
+  const autoRunRef = useRef(null);                        // {cancelled, imageId} of the running pass
+  const polygonsRef = useRef(polygons);                   // latest polygons, for a pass that ends later
+  polygonsRef.current = polygons;
+
+  // Annotation QA: validation issues (optionally blocking export) and the reviewer's panel
+  const [showQA, setShowQA] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  const [blockExport, setBlockExport] = useState(loadBlockExport);
+
+  // Inter-annotator comparison: a second annotator's polygons for the open image, drawn read-only
+  const [showCompare, setShowCompare] = useState(false);
+  const [reference, setReference] = useState(null);   // {name, polygons} from the loaded file
+  const [compareIoU, setCompareIoU] = useState(0.5);
+  const [compareRow, setCompareRow] = useState(null); // index of the row zoomed to
+
+  // Display only: image adjustments and annotation fill / stroke, kept when switching images
+  const [showDisplay, setShowDisplay] = useState(false);
+  const [adjust, setAdjust] = useState(DEFAULT_ADJUST);
+  const [overlay, setOverlay] = useState(DEFAULT_OVERLAY);
 
   // Viewport (applied to a Group so image + annotations move/scale together)
   const [zoom, setZoom] = useState(1);
@@ -65,21 +152,25 @@ export default function App() {
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
 
-  // Undo/Redo
-  const [undoStack, setUndoStack] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
-  const saveState = () => {
-    setUndoStack((st) => [
-      ...st,
-      {
-        points: JSON.parse(JSON.stringify(points)),
-        polygons: JSON.parse(JSON.stringify(polygons)),
-        selectedPolygonId,
-        zoom,
-        pan: { ...pan },
-      },
-    ]);
-    setRedoStack([]);
+  // Undo/Redo: a list of operations on {points, box, polygons}; the viewport is not part of it
+  const [history, setHistory] = useState(emptyHistory);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showObjects, setShowObjects] = useState(true);
+  const [showFps, setShowFps] = useState(false);
+
+  const setDoc = (doc) => {
+    setPoints(doc.points);
+    setBox(doc.box);
+    setPolygons(doc.polygons);
+  };
+
+  // Record operations that were already applied to the state
+  const record = (title, ops, mergeKey) => setHistory((h) => pushEntry(h, { title, ops, mergeKey, time: Date.now() }));
+
+  // Apply operations to the current document and record them as one history entry
+  const perform = (title, ops, mergeKey) => {
+    setDoc(applyOps({ points, box, polygons }, ops));
+    record(title, ops, mergeKey);
   };
 
   // Messaging
@@ -107,7 +198,7 @@ export default function App() {
     window.addEventListener("resize", resize);
     resize();
     return () => window.removeEventListener("resize", resize);
-  }, []);
+  }, [showObjects, showAuto, showQA, showReview, showCompare, imageUrl]);
 
   // Auto-fit image on load or stage resize
   useEffect(() => {
@@ -121,30 +212,237 @@ export default function App() {
     }
   }, [imageObj, stageSize]);
 
-  // ---------- Session / Upload ----------
-  const handleImageUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    setImageFile(file);
+  // Remember the natural size of each project image for dataset exports
+  useEffect(() => {
+    if (!imageObj || !activeImageId) return;
+    setImages((prev) =>
+      prev.map((im) => (im.id === activeImageId ? { ...im, width: imageObj.width, height: imageObj.height } : im))
+    );
+  }, [imageObj]);
 
-    // show it immediately
-    setImageUrl(URL.createObjectURL(file));
+  // ---------- Session / Upload ----------
+  const pendingSessionRef = useRef(null); // {id, promise} while an image is being embedded
 
-    // send to backend
+  // Resolves to the new session id, or null when the upload failed or the user moved on meanwhile
+  const startSession = (entry) => {
     const formData = new FormData();
-    formData.append("file", file);
+    formData.append("file", entry.file);
+
+    const promise = (async () => {
+      try {
+        const { data } = await api.post("/session/start", formData);
+        // the user may have moved on while the image was being embedded
+        if (activeImageIdRef.current !== entry.id) {
+          endSession(data.session_id);
+          return null;
+        }
+        setImages((prev) => prev.map((im) => (im.id === entry.id ? { ...im, sessionId: data.session_id } : im)));
+        setSessionId(data.session_id);
+        setMessage(`Session started (${data.image_size[0]}x${data.image_size[1]})`);
+        return data.session_id;
+      } catch (err) {
+        setMessage(`Error starting session: ${err?.response?.data?.detail || err.message}`);
+        return null;
+      } finally {
+        if (pendingSessionRef.current?.promise === promise) pendingSessionRef.current = null;
+      }
+    })();
+    pendingSessionRef.current = { id: entry.id, promise };
+    return promise;
+  };
+
+  // Frees the predictor on the server; a session the server already dropped is fine
+  const endSession = (id) => (id ? api.post("/session/end", { session_id: id }).catch(() => {}) : Promise.resolve());
+
+  // after logging in again the open image needs a new session
+  useEffect(() => {
+    if (isLoggedIn && imageFile && !sessionId && !pendingSessionRef.current) startSession({ id: activeImageId, file: imageFile });
+  }, [isLoggedIn]);
+
+  // Backend status from /health, polled while the app is open
+  const [health, setHealth] = useState(null); // {status, device, cuda_device_name?} or {status: "offline"}
+  useEffect(() => {
+    const check = () =>
+      api.get("/health", { timeout: 5000 })
+        .then(({ data }) => setHealth(data))
+        .catch(() => setHealth({ status: "offline" }));
+    check();
+    const timer = setInterval(check, 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Project images with the live editor state folded into the active one
+  const projectImages = () =>
+    images.map((im) => (im.id === activeImageId ? { ...im, sessionId, polygons, history } : im));
+
+  const imageStatus = (im) => {
+    if (im.done) return "done";
+    const polys = im.id === activeImageId ? polygons : im.polygons;
+    return polys.length ? "in progress" : "untouched";
+  };
+
+  const openImage = (id, list = projectImages()) => {
+    const entry = list.find((im) => im.id === id);
+    if (!entry || id === activeImageId) return;
+
+    // stash the current image's work before switching; its session is not needed anymore
+    endSession(sessionId);
+    setImages(list.map((im) => (im.id === activeImageId ? { ...im, sessionId: null } : im)));
+    activeImageIdRef.current = id;
+    setActiveImageId(id);
+
+    setImageFile(entry.file);
+    setImageUrl(entry.url);
+    setSessionId(entry.sessionId || null);
+    setPolygons(entry.polygons);
+    setHistory(entry.history);
+    setPoints([]); setBox(null); setCandidates(null);
+    setSelectedPolygonId(null); setZoom(1); setPan({ x: 0, y: 0 });
+    // suggestions belong to the image they were made for
+    cancelAuto();
+    setSuggestions([]);
+    setReference(null);
+
+    // each image gets its own backend session, embedded once
+    if (!entry.sessionId) startSession(entry);
+  };
+
+  const stepImage = (step) => {
+    const idx = images.findIndex((im) => im.id === activeImageId);
+    const next = images[idx + step];
+    if (next) openImage(next.id);
+  };
+
+  const toggleDone = () => {
+    setImages((prev) => prev.map((im) => (im.id === activeImageId ? { ...im, done: !im.done } : im)));
+  };
 
+  const makeEntry = (file, i, draft = {}) => ({
+    id: `img_${Date.now()}_${i}`,
+    key: imageKey(file),
+    file,
+    url: URL.createObjectURL(file),
+    sessionId: null,
+    polygons: draft.polygons || [],
+    history: emptyHistory(),
+    done: !!draft.done,
+    width: 0,
+    height: 0,
+  });
+
+  const handleImageUpload = (e) => {
+    const files = Array.from(e.target.files || [])
+      .filter((f) => f.type.startsWith("image/"))
+      .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+    e.target.value = "";
+    if (!files.length) return;
+
+    // show them immediately, sessions are started when an image is opened
+    const added = files.map((file, i) => makeEntry(file, i));
+    const list = [...projectImages(), ...added];
+    openImage(added[0].id, list);
+    setMessage(`Added ${added.length} image${added.length > 1 ? "s" : ""} to the project`);
+  };
+
+  // ---------- Autosave / recovery (IndexedDB) ----------
+  const [restoreOffer, setRestoreOffer] = useState(null); // last stored session, until restored or dismissed
+  const [drafts, setDrafts] = useState(null);             // draft list while the manager is open
+  const savedRef = useRef(new Map());                     // image key -> {polygons, done} last written
+
+  useEffect(() => {
+    loadSession()
+      .then((session) => session?.imageKeys?.length && setRestoreOffer(session))
+      .catch(() => {});
+  }, []);
+
+  // the offer only makes sense for an empty workspace
+  useEffect(() => {
+    if (images.length) setRestoreOffer(null);
+  }, [images.length]);
+
+  const autosave = async () => {
+    const list = projectImages();
+    for (const im of list) {
+      const saved = savedRef.current.get(im.key);
+      if (saved && saved.polygons === im.polygons && saved.done === im.done) continue;
+      if (!saved) await saveFile(im.key, im.file);
+      await saveDraft({ key: im.key, fileName: im.file.name, polygons: im.polygons, done: im.done });
+      savedRef.current.set(im.key, { polygons: im.polygons, done: im.done });
+    }
+    const active = list.find((im) => im.id === activeImageId);
+    await saveSession({ imageKeys: list.map((im) => im.key), activeKey: active?.key, labels });
+  };
+
+  useEffect(() => {
+    if (!images.length) return;
+    const t = setTimeout(() => autosave().catch((err) => setMessage(`Autosave failed: ${err.message}`)), 800);
+    return () => clearTimeout(t);
+  }, [images, polygons, labels, activeImageId]);
+
+  const entriesFromDrafts = async (keys) => {
+    const loaded = (await Promise.all(keys.map(loadDraft))).filter(Boolean);
+    return loaded.map((d, i) => {
+      savedRef.current.set(d.key, { polygons: d.polygons, done: d.done });
+      return makeEntry(d.file, i, d);
+    });
+  };
+
+  const restoreSession = async () => {
     try {
-      const { data } = await axios.post(`${API_BASE}/session/start`, formData);
-      setSessionId(data.session_id);
-      setMessage(`Session started (${data.image_size[0]}x${data.image_size[1]})`);
-
-      // reset state
-      setPoints([]); setPolygons([]); 
-      setSelectedPolygonId(null); setZoom(1); setPan({ x: 0, y: 0 });
-      setUndoStack([]); setRedoStack([]);
+      const session = restoreOffer;
+      const list = await entriesFromDrafts(session.imageKeys);
+      if (!list.length) throw new Error("The stored images are no longer available");
+      if (session.labels?.length) setLabels(session.labels);
+      const active = list.find((im) => im.key === session.activeKey) || list[0];
+      openImage(active.id, list);
+      setMessage(`Restored ${list.length} image(s) from the last session`);
     } catch (err) {
-      setMessage(`Error starting session: ${err?.response?.data?.detail || err.message}`);
+      setMessage(`Restore failed: ${err.message}`);
+    }
+    setRestoreOffer(null);
+  };
+
+  const openDraftManager = async () => {
+    try {
+      setDrafts(await listDrafts());
+    } catch (err) {
+      setMessage(`Could not read drafts: ${err.message}`);
+    }
+  };
+
+  // reopen a stored draft, adding it to the project if it is not there already
+  const openDraft = async (key) => {
+    setDrafts(null);
+    const existing = images.find((im) => im.key === key);
+    if (existing) return openImage(existing.id);
+    try {
+      const [entry] = await entriesFromDrafts([key]);
+      if (!entry) throw new Error("Draft not found");
+      openImage(entry.id, [...projectImages(), entry]);
+    } catch (err) {
+      setMessage(`Could not open draft: ${err.message}`);
+    }
+  };
+
+  const removeDraft = async (key) => {
+    try {
+      await deleteDraft(key);
+      savedRef.current.delete(key);
+      setDrafts(await listDrafts());
+    } catch (err) {
+      setMessage(`Could not delete draft: ${err.message}`);
+    }
+  };
+
+  const purgeDrafts = async () => {
+    if (!window.confirm("Delete all drafts stored in this browser?")) return;
+    try {
+      await clearDrafts();
+      savedRef.current.clear();
+      setDrafts([]);
+      setRestoreOffer(null);
+    } catch (err) {
+      setMessage(`Could not delete drafts: ${err.message}`);
     }
   };
 
@@ -156,63 +454,214 @@ export default function App() {
   };
 
   // ---------- SAM call (single polygon, ask label) ----------
+  // The session of the open image, waiting for one that is still being started
+  const currentSession = async () => {
+    if (sessionId) return sessionId;
+    if (pendingSessionRef.current?.id === activeImageId) return pendingSessionRef.current.promise;
+    return imageFile ? startSession({ id: activeImageId, file: imageFile }) : null;
+  };
+
+  const replacedSessionsRef = useRef(new Map()); // lost session id -> promise of the session replacing it
+
+  // A 404 means the backend lost the session (e.g. it restarted): re-create it from the cached
+  // image file and retry the request once. Concurrent requests that hit the same lost session share
+  // one new session instead of each uploading the image again.
+  const requestSegment = async (payload) => {
+    try {
+      return (await api.post("/segment", payload)).data;
+    } catch (err) {
+      if (err?.response?.status !== 404 || !imageFile) throw err;
+      const id = await replaceSession(payload.session_id);
+      if (!id) throw err;
+      return (await api.post("/segment", { ...payload, session_id: id })).data;
+    }
+  };
+
+  const replaceSession = (lost) => {
+    const replaced = replacedSessionsRef.current;
+    if (!replaced.has(lost)) {
+      setMessage("The backend lost the session, uploading the image again…");
+      setSessionId(null);
+      const pending = pendingSessionRef.current?.id === activeImageId ? pendingSessionRef.current.promise : null;
+      const promise = (pending || startSession({ id: activeImageId, file: imageFile })).then((id) => {
+        if (!id) replaced.delete(lost); // a failed upload may be tried again
+        return id;
+      });
+      replaced.set(lost, promise);
+    }
+    return replaced.get(lost);
+  };
+
   const runSAM = async () => {
-    if (!sessionId) return setMessage("Upload an image first");
-    if (!points.length) return setMessage("Add points first");
+    if (!imageFile) return setMessage("Upload an image first");
+    if (!points.length && !box) return setMessage("Add points or a box first");
+    const session = await currentSession();
+    if (!session) return segmentInBrowser("No SAM session");
 
     const payload = {
-      session_id: sessionId,
-      points: points.length ? points : undefined,
-      point_labels: points.length ? new Array(points.length).fill(1) : undefined,
-      multimask: false, // <<< only 1 mask from backend
+      session_id: session,
+      points: points.length ? points.map(([x, y]) => [x, y]) : undefined,
+      point_labels: points.length ? points.map((p) => p[2]) : undefined,
+      box: box || undefined,
+      multimask, // 3 candidate masks when enabled, otherwise only 1
     };
 
     try {
-      const { data } = await axios.post(`${API_BASE}/segment`, payload);
+      const data = await requestSegment(payload);
 
-      // choose best mask (there will be 1, but keep safe)
-      let best = null;
-      for (const m of data.masks) {
-        if (!best || m.score > best.score) best = m;
-      }
-
-      if (!best || !best.polygons?.length) {
+      const masks = data.masks.filter((m) => m.polygons?.length).sort((a, b) => b.score - a.score);
+      if (!masks.length) {
         setMessage("SAM returned no polygons. Try adding more clicks.");
         return;
       }
 
-      // Merge multiple contours into one by taking the largest polygon
-      const polys = best.polygons.slice().sort((a, b) => area(b) - area(a));
-      const chosen = polys[0];
-
-      // Ask for label
-      const label = window.prompt("Enter label for this polygon:", "Object");
-      const newPoly = {
-        id: `sam_${Date.now()}`,
-        points: chosen,
-        label: label || "Object",
-        score: best.score,
-      };
+      if (multimask && masks.length > 1) {
+        // let the user pick the level of detail before it becomes a polygon
+        setCandidates(masks);
+        setCandidateIdx(0);
+        setMessage(`${masks.length} candidates: Tab to cycle, Enter to confirm, Esc to cancel`);
+        return;
+      }
 
-      saveState();
-      setPolygons((prev) => [...prev, newPoly]);
-      setPoints([]);
-      setMessage(`Added 1 polygon (score ${best.score.toFixed(3)})`);
+      addMaskPolygon(masks[0]);
     } catch (err) {
-      setMessage(`Error: ${err?.response?.data?.detail || err.message}`);
+      // backend unreachable or SAM failed: keep working with the magic wand
+      if (!err?.response || err.response.status >= 500) return segmentInBrowser("SAM is unavailable");
+      setMessage(`Error: ${err.response.data?.detail || err.message}`);
+    }
+  };
+
+  // Turn a SAM (or magic wand) mask into a labelled polygon and consume the prompt
+  const addMaskPolygon = (mask, source = "SAM") => {
+    // every part and hole is kept
+    const newPoly = {
+      id: `${source.toLowerCase()}_${Date.now()}`,
+      ...maskShape(mask),
+      label: activeLabel,
+      ...(mask.score != null ? { score: mask.score } : {}),
+    };
+
+    perform(`Add ${activeLabel} (${source})`, [
+      addPolygon(newPoly, polygons.length),
+      setPrompt({ points, box }, { points: [], box: null }),
+    ]);
+    setMessage(`Added 1 ${activeLabel} polygon (${mask.score != null ? `score ${mask.score.toFixed(3)}` : source})`);
+  };
+
+  const confirmCandidate = () => {
+    if (!candidates) return;
+    const mask = candidates[candidateIdx];
+    setCandidates(null);
+    addMaskPolygon(mask);
+  };
+
+  // Cancelling keeps the prompt points/box so the user can refine them
+  const cancelCandidates = () => setCandidates(null);
+
+  // ---------- Magic wand (in the browser, works without the backend) ----------
+  // The pixels of the open image are read once and kept until another image is opened
+  const pixelsRef = useRef(null); // {image, pixels}
+  const wandPixels = () => {
+    if (pixelsRef.current?.image !== imageObj) pixelsRef.current = { image: imageObj, pixels: imagePixels(imageObj) };
+    return pixelsRef.current.pixels;
+  };
+
+  // A box is refined GrabCut-style, seed points are flood-filled with the color tolerance
+  const runWand = ({ seeds, box: wandBox }) => {
+    if (!imageObj) return false;
+    const pixels = wandPixels();
+    const mask = wandBox ? grabCut(pixels, wandBox) : floodFill(pixels, seeds, wandTolerance);
+    const mp = traceMask(mask, pixels.width, pixels.height);
+    if (!mp.polygons.length) {
+      setMessage(wandBox ? "The magic wand found no object in the box" : "The magic wand found no region here, try a higher tolerance");
+      return false;
     }
+    addMaskPolygon(mp, "Wand");
+    return true;
   };
 
-  function area(pts) {
-    // polygon area (shoelace)
-    let s = 0;
-    for (let i = 0; i < pts.length; i++) {
-      const [x1, y1] = pts[i];
-      const [x2, y2] = pts[(i + 1) % pts.length];
-      s += x1 * y2 - x2 * y1;
+  // ---------- Segment everything ----------
+  const AUTO_BATCH = 8; // /segment requests in flight at once
+
+  // Every grid point goes to SAM on its own; duplicates of better results or of existing objects are
+  // dropped and the rest become suggestions. A cancelled pass keeps what it found so far.
+  const segmentEverything = async () => {
+    if (!imageObj) return setMessage("Upload an image first");
+    if (autoRunRef.current) return;
+    let session = await currentSession();
+    if (!session) return setMessage("Segment everything needs the SAM backend");
+
+    const run = { cancelled: false, imageId: activeImageId };
+    autoRunRef.current = run;
+    const prompts = gridPrompts(imageObj.width, imageObj.height, autoSettings.grid);
+    const found = [];
+    let failed = 0;
+    setSuggestions([]);
+    setAutoProgress({ done: 0, total: prompts.length });
+
+    for (let i = 0; i < prompts.length && !run.cancelled; i += AUTO_BATCH) {
+      const batch = prompts.slice(i, i + AUTO_BATCH);
+      const results = await Promise.all(
+        batch.map((pt) => requestSegment({ session_id: session, points: [pt], point_labels: [1], multimask: true }).catch(() => null))
+      );
+      if (results.every((data) => !data)) {
+        autoRunRef.current = null;
+        setAutoProgress(null);
+        return setMessage("Segment everything stopped: the backend did not answer");
+      }
+      for (const data of results) {
+        if (!data) {
+          failed++;
+          continue;
+        }
+        // a single point is ambiguous, the best of SAM's three masks is kept
+        const best = data.masks.filter((m) => m.polygons?.length).sort((a, b) => b.score - a.score)[0];
+        if (best) found.push({ score: best.score, ...maskShape(best) });
+      }
+      setAutoProgress({ done: i + batch.length, total: prompts.length });
+      // later batches use the session that replaced a lost one
+      if (replacedSessionsRef.current.has(session)) session = (await replacedSessionsRef.current.get(session)) || session;
     }
-    return Math.abs(s / 2);
-  }
+
+    autoRunRef.current = null;
+    setAutoProgress(null);
+    if (run.imageId !== activeImageIdRef.current) return; // another image was opened meanwhile
+    // objects added or edited while the pass ran count as existing ones too
+    const kept = suppressDuplicates(found, polygonsRef.current, autoSettings);
+    const stamp = Date.now();
+    setSuggestions(kept.map((p, k) => ({ ...p, id: `auto_${stamp}_${k}`, label: null, checked: true })));
+    setMessage(`${run.cancelled ? "Cancelled. " : ""}${kept.length} suggestions from ${found.length} results${failed ? `, ${failed} prompts failed` : ""}`);
+  };
+
+  const cancelAuto = () => {
+    if (autoRunRef.current) autoRunRef.current.cancelled = true;
+  };
+
+  // a null id ticks or unticks every suggestion
+  const checkSuggestion = (id, checked) => setSuggestions((prev) => prev.map((s) => (id == null || s.id === id ? { ...s, checked } : s)));
+  const relabelSuggestions = (label) => setSuggestions((prev) => prev.map((s) => (s.checked ? { ...s, label } : s)));
+  const rejectSuggestions = () => setSuggestions((prev) => prev.filter((s) => !s.checked));
+
+  // The ticked suggestions become polygons in one undoable step; unlabeled ones get the active class
+  const acceptSuggestions = () => {
+    const accepted = suggestions.filter((s) => s.checked);
+    if (!accepted.length) return;
+    perform(
+      `Accept ${accepted.length} suggestions`,
+      accepted.map(({ id, points, rings, score, label }, k) =>
+        addPolygon({ id, points, ...(rings ? { rings } : {}), label: label || activeLabel, score }, polygons.length + k)
+      )
+    );
+    setSuggestions((prev) => prev.filter((s) => !s.checked));
+    setMessage(`Added ${accepted.length} polygons`);
+  };
+
+  // SAM fallback: the prompt box, or else the include points, go to the magic wand
+  const segmentInBrowser = (reason) => {
+    const seeds = points.filter((p) => p[2] === 1).map(([x, y]) => [x, y]);
+    if (!box && !seeds.length) return setMessage(`${reason}. The magic wand needs a box or an include point.`);
+    if (runWand(box ? { box } : { seeds })) setMessage(`${reason}, the polygon was made with the magic wand`);
+  };
 
   // ---------- Interaction ----------
   const onStageMouseDown = (e) => {
@@ -227,16 +676,65 @@ export default function App() {
       return;
     }
 
+    // vertex handles handle their own events
+    if (e.target.name() === "vertex") return;
+
     // click actions
     const [ix, iy] = canvasToImage(pos.x, pos.y);
 
     if (mode === "points") {
-      saveState();
-      setPoints((prev) => [...prev, [ix, iy]]);
+      // shift-click or right-click places an exclude (background) point
+      const label = e.evt.shiftKey || e.evt.button === 2 ? 0 : 1;
+      perform(label ? "Add include point" : "Add exclude point", [setPrompt({ points, box }, { points: [...points, [ix, iy, label]], box })]);
+    } else if (mode === "box") {
+      setBoxDraft([ix, iy, ix, iy]);
+    } else if (mode === "wand") {
+      // a click flood-fills, a drag refines a box
+      if (e.evt.button === 0) setBoxDraft([ix, iy, ix, iy]);
+    } else if (mode === "draw") {
+      if (e.evt.button !== 0) return;
+      // clicking near the first vertex closes the polygon
+      if (drawPoints.length >= 3) {
+        const [fx, fy] = drawPoints[0];
+        if (Math.hypot(ix - fx, iy - fy) * zoom < (touchUI ? 16 : 8)) return finishDrawing();
+      }
+      setDrawPoints((prev) => [...prev, [ix, iy]]);
     } else if (mode === "edit") {
-      // select polygon
-      const hit = polygons.find((p) => pointInPoly(ix, iy, p.points));
+      // a split line takes two clicks
+      if (splitPoints) {
+        if (e.evt.button !== 0) return;
+        if (!splitPoints.length) return setSplitPoints([[ix, iy]]);
+        splitSelected(splitPoints[0], [ix, iy]);
+        setSplitPoints(null);
+        setCursorPos(null);
+        return;
+      }
+      // clicking on an edge of the selected polygon inserts a vertex there
+      const selected = polygons.find((p) => p.id === selectedPolygonId);
+      if (selected && !selected.locked && e.evt.button === 0) {
+        const [edge, r] = allRings(selected)
+          .map((ring, k) => [nearestEdge(ix, iy, ring), k])
+          .reduce((best, cur) => (cur[0].dist < best[0].dist ? cur : best));
+        if (edge.dist * zoom < (touchUI ? 12 : 6)) {
+          const newRing = [...getRing(selected, r)];
+          newRing.splice(edge.index + 1, 0, edge.point);
+          perform("Insert vertex", [updatePolygon(selected.id, ringField(selected, r), ringUpdate(selected, r, newRing))]);
+          setSelectedVertex({ ring: r, idx: edge.index + 1 });
+          return;
+        }
+      }
+      setSelectedVertex(null);
+      // select the topmost polygon; hidden and locked ones are clicked through.
+      // shift-click adds further polygons for merge / subtract / intersect
+      const hit = [...polygons].reverse().find((p) => !p.hidden && !p.locked && pointInShape(ix, iy, p));
+      // right-click keeps the current selection for the context menu
+      if (e.evt.button === 2 && hit && (hit.id === selectedPolygonId || extraSelectedIds.includes(hit.id))) return;
+      if (e.evt.shiftKey && hit && selectedPolygonId && hit.id !== selectedPolygonId) {
+        setExtraSelectedIds((ids) => (ids.includes(hit.id) ? ids.filter((id) => id !== hit.id) : [...ids, hit.id]));
+        return;
+      }
       setSelectedPolygonId(hit ? hit.id : null);
+      setExtraSelectedIds([]);
     }
   };
 
@@ -252,9 +750,29 @@ export default function App() {
       setPanStart({ x: pos.x, y: pos.y });
       return;
     }
+
+    if (boxDraft) {
+      const [ix, iy] = canvasToImage(pos.x, pos.y);
+      setBoxDraft(([x1, y1]) => [x1, y1, ix, iy]);
+    }
+
+    if ((mode === "draw" && drawPoints.length) || splitPoints?.length) setCursorPos(canvasToImage(pos.x, pos.y));
   };
 
-  const onStageMouseUp = () => setIsPanning(false);
+  const onStageMouseUp = () => {
+    setIsPanning(false);
+
+    if (boxDraft) {
+      const [x1, y1, x2, y2] = boxDraft;
+      setBoxDraft(null);
+      const dragged = Math.abs(x2 - x1) * zoom >= 3 && Math.abs(y2 - y1) * zoom >= 3;
+      const next = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+      if (mode === "wand") return runWand(dragged ? { box: next } : { seeds: [[x1, y1]] });
+      // ignore plain clicks, a box prompt needs some extent
+      if (!dragged) return;
+      perform("Set box", [setPrompt({ points, box }, { points, box: next })]);
+    }
+  };
 
   const onWheel = (e) => {
     e.evt.preventDefault();
@@ -280,147 +798,707 @@ export default function App() {
   };
 
   // Context menu
+  const ctxOpenedAtRef = useRef(0);
+  const openContextMenu = (pos) => {
+    if (mode === "points" || mode === "draw") return; // right-click is used for exclude points
+    ctxOpenedAtRef.current = Date.now();
+    setCtxMenu({ visible: true, x: pos.x, y: pos.y });
+  };
   const onContextMenu = (e) => {
     e.evt.preventDefault();
-    const stage = e.target.getStage();
-    const pos = stage.getPointerPosition();
-    if (pos) setCtxMenu({ visible: true, x: pos.x, y: pos.y });
+    // on touch screens the long-press handler below opens the menu
+    if (lastPointerTypeRef.current === "touch") return;
+    const pos = e.target.getStage().getPointerPosition();
+    if (pos) openContextMenu(pos);
   };
   useEffect(() => {
-    const hide = () => setCtxMenu({ visible: false, x: 0, y: 0 });
+    // the click that ends a long-press must not close the menu it just opened
+    const hide = () => Date.now() - ctxOpenedAtRef.current > 400 && setCtxMenu({ visible: false, x: 0, y: 0 });
     window.addEventListener("click", hide);
     return () => window.removeEventListener("click", hide);
   }, []);
 
+  // ---------- Touch & pen ----------
+  // The stage listens to pointer events. Mouse and pen act on pointer down as before. A single
+  // finger only acts when it is lifted (a tap) or held still (a long-press = right-click), so the
+  // first finger of a pinch never places a point. Two fingers pinch-zoom and pan.
+  const LONG_PRESS_MS = 500;
+  const TAP_SLOP_PX = 10;
+  const [touchUI, setTouchUI] = useState(false);  // larger handles and tolerances after touch input
+  const lastPointerTypeRef = useRef("mouse");
+  const pointersRef = useRef(new Map());           // pointerId -> {x, y} in stage coordinates
+  const gestureRef = useRef(null);                 // {dist, center, zoom, pan} when two fingers went down
+  const tapRef = useRef(null);                     // {e, pos, timer} single touch not yet a tap or long-press
+
+  const stagePoint = (e) => {
+    const rect = e.target.getStage().container().getBoundingClientRect();
+    return { x: e.evt.clientX - rect.left, y: e.evt.clientY - rect.top };
+  };
+  const pinchOf = (pointers) => {
+    const [a, b] = [...pointers.values()];
+    return { dist: Math.hypot(b.x - a.x, b.y - a.y) || 1, center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+  };
+  const cancelTap = () => {
+    if (tapRef.current) clearTimeout(tapRef.current.timer);
+    tapRef.current = null;
+  };
+
+  const onStagePointerDown = (e) => {
+    const type = e.evt.pointerType;
+    lastPointerTypeRef.current = type;
+    if ((type === "touch") !== touchUI) setTouchUI(type === "touch");
+    if (type !== "touch") return onStageMouseDown(e);
+
+    const pointers = pointersRef.current;
+    pointers.set(e.evt.pointerId, stagePoint(e));
+    if (pointers.size === 2) {
+      // a second finger turns whatever the first one started into a gesture
+      cancelTap();
+      setBoxDraft(null);
+      setIsPanning(false);
+      gestureRef.current = { ...pinchOf(pointers), zoom, pan };
+      return;
+    }
+    if (pointers.size > 2 || gestureRef.current) return;
+
+    // dragging a box or panning starts right away, a second finger cancels it
+    if (!mode || mode === "box" || mode === "wand" || e.target.name() === "vertex") return onStageMouseDown(e);
+    const pos = stagePoint(e);
+    const timer = setTimeout(() => {
+      tapRef.current = null;
+      // long-press: like a right-click (exclude point, keep the selection) plus the context menu
+      onStageMouseDown({ target: e.target, evt: { button: 2, shiftKey: false } });
+      openContextMenu(pos);
+    }, LONG_PRESS_MS);
+    tapRef.current = { e, pos, timer };
+  };
+
+  const onStagePointerMove = (e) => {
+    if (e.evt.pointerType !== "touch") return onStageMouseMove(e);
+    const pointers = pointersRef.current;
+    if (!pointers.has(e.evt.pointerId)) return;
+    const pos = stagePoint(e);
+    pointers.set(e.evt.pointerId, pos);
+
+    const g = gestureRef.current;
+    if (g) {
+      if (pointers.size < 2) return;
+      // zoom around the gesture center and follow it
+      const { dist, center } = pinchOf(pointers);
+      const newZoom = Math.min(Math.max(g.zoom * (dist / g.dist), 0.05), 50);
+      const ix = (g.center.x - g.pan.x) / g.zoom, iy = (g.center.y - g.pan.y) / g.zoom;
+      setZoom(newZoom);
+      setPan({ x: center.x - ix * newZoom, y: center.y - iy * newZoom });
+      return;
+    }
+    const tap = tapRef.current;
+    if (tap && Math.hypot(pos.x - tap.pos.x, pos.y - tap.pos.y) > TAP_SLOP_PX) cancelTap();
+    onStageMouseMove(e);
+  };
+
+  const onStagePointerUp = (e) => {
+    if (e.evt.pointerType !== "touch") return onStageMouseUp(e);
+    const pointers = pointersRef.current;
+    pointers.delete(e.evt.pointerId);
+    // the gesture ends when the last finger is lifted
+    if (gestureRef.current) {
+      if (!pointers.size) gestureRef.current = null;
+      return;
+    }
+    const tap = tapRef.current;
+    if (tap) {
+      cancelTap();
+      onStageMouseDown(tap.e);
+    }
+    onStageMouseUp(e);
+  };
+
   const deleteSelected = () => {
-    if (!selectedPolygonId) return;
-    saveState();
-    setPolygons((prev) => prev.filter((p) => p.id !== selectedPolygonId));
+    const idx = polygons.findIndex((p) => p.id === selectedPolygonId);
+    if (idx < 0) return;
+    if (polygons[idx].locked) return setMessage(`${polygons[idx].label} is locked`);
+    perform(`Delete ${polygons[idx].label}`, [removePolygon(polygons[idx], idx)]);
     setSelectedPolygonId(null);
     setCtxMenu({ visible: false, x: 0, y: 0 });
   };
 
-  const relabelSelected = () => {
-    if (!selectedPolygonId) return;
-    const label = window.prompt("New label:");
-    if (!label) return;
-    saveState();
-    setPolygons((prev) => prev.map((p) => (p.id === selectedPolygonId ? { ...p, label } : p)));
+  const relabelSelected = (label) => {
+    const poly = polygons.find((p) => p.id === selectedPolygonId);
+    if (!poly || !label || poly.label === label) return;
+    perform(`Relabel ${poly.label} → ${label}`, [updatePolygon(poly.id, { label: poly.label }, { label })]);
     setCtxMenu({ visible: false, x: 0, y: 0 });
   };
 
-  // Undo / Redo / Clear
-  const undo = () => {
-    if (!undoStack.length) return;
-    const prev = undoStack[undoStack.length - 1];
-    setRedoStack((st) => [
-      ...st,
-      { points, polygons, selectedPolygonId, zoom, pan },
-    ]);
-    setPoints(prev.points);
-    setPolygons(prev.polygons);
-    setSelectedPolygonId(prev.selectedPolygonId);
-    setZoom(prev.zoom);
-    setPan(prev.pan);
-    setUndoStack((st) => st.slice(0, -1));
-  };
-  const redo = () => {
-    if (!redoStack.length) return;
-    const next = redoStack[redoStack.length - 1];
-    setUndoStack((st) => [
-      ...st,
-      { points, polygons, selectedPolygonId, zoom, pan },
+  // ---------- Manual drawing & vertex editing ----------
+  const finishDrawing = () => {
+    if (drawPoints.length < 3) return setMessage("A polygon needs at least 3 vertices");
+    const newPoly = { id: `draw_${Date.now()}`, points: drawPoints, label: activeLabel };
+    perform(`Draw ${activeLabel}`, [addPolygon(newPoly, polygons.length)]);
+    setDrawPoints([]);
+    setCursorPos(null);
+    setMessage(`Added 1 ${activeLabel} polygon`);
+  };
+
+  const cancelDrawing = () => {
+    setDrawPoints([]);
+    setCursorPos(null);
+  };
+
+  const deleteVertex = (polyId, { ring: r, idx }) => {
+    const poly = polygons.find((p) => p.id === polyId);
+    if (!poly) return;
+    const ring = getRing(poly, r);
+    if (ring.length <= 3) {
+      if (r === 0) return setMessage("A polygon needs at least 3 vertices");
+      // an extra part or hole that gets too small is removed altogether
+      const rings = poly.rings.filter((_, k) => k !== r - 1);
+      perform("Delete ring", [updatePolygon(polyId, { rings: poly.rings }, { rings: rings.length ? rings : undefined })]);
+    } else {
+      perform("Delete vertex", [updatePolygon(polyId, ringField(poly, r), ringUpdate(poly, r, ring.filter((_, k) => k !== idx)))]);
+    }
+    setSelectedVertex(null);
+  };
+
+  // ---------- Polygon booleans ----------
+  const BOOLEANS = {
+    union: { title: "Merge", run: unionShapes, consumes: true },
+    difference: { title: "Subtract", run: differenceShapes, consumes: false },
+    intersection: { title: "Intersect", run: intersectShapes, consumes: true },
+  };
+
+  // The selected polygon keeps its id and label; merged / intersected inputs are removed,
+  // subtracted ones stay as they are
+  const combineSelected = (kind) => {
+    const primary = polygons.find((p) => p.id === selectedPolygonId);
+    const others = polygons.filter((p) => extraSelectedIds.includes(p.id));
+    if (!primary || !others.length) return setMessage("Shift-click more polygons in Edit mode to combine them with the selected one");
+    if (primary.locked) return setMessage(`${primary.label} is locked`);
+    const { title, run, consumes } = BOOLEANS[kind];
+    const shape = run(primary, others);
+    if (!shape) return setMessage(`${title} ${primary.label}: nothing would be left`);
+    const ops = [updatePolygon(primary.id, { points: primary.points, rings: primary.rings }, shape)];
+    if (consumes) {
+      // remove from the back so every stored index is still valid when undo re-inserts them
+      others
+        .map((p) => [p, polygons.indexOf(p)])
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([p, idx]) => ops.push(removePolygon(p, idx)));
+    }
+    perform(`${title} ${primary.label}`, ops);
+    setExtraSelectedIds([]);
+    setSelectedVertex(null);
+    setCtxMenu({ visible: false, x: 0, y: 0 });
+  };
+
+  const startSplit = () => {
+    if (mode !== "edit" || !selectedPolygonId) return setMessage("Select a polygon in Edit mode to split it");
+    setSplitPoints([]);
+    setCtxMenu({ visible: false, x: 0, y: 0 });
+    setMessage("Click two points to draw the split line, Esc to cancel");
+  };
+
+  const cancelSplit = () => {
+    setSplitPoints(null);
+    setCursorPos(null);
+  };
+
+  // Every piece keeps the label (and score) of the original; the largest one keeps its id
+  const splitSelected = (a, b) => {
+    const poly = polygons.find((p) => p.id === selectedPolygonId);
+    if (!poly) return;
+    if (poly.locked) return setMessage(`${poly.label} is locked`);
+    const pieces = splitShape(poly, a, b);
+    if (!pieces) return setMessage("The line does not cut the polygon");
+    const idx = polygons.indexOf(poly);
+    const [first, ...rest] = pieces;
+    perform(`Split ${poly.label}`, [
+      updatePolygon(poly.id, { points: poly.points, rings: poly.rings }, first),
+      ...rest.map((shape, k) => addPolygon({ ...poly, ...shape, id: `split_${Date.now()}_${k}` }, idx + 1 + k)),
     ]);
-    setPoints(next.points);
-    setPolygons(next.polygons);
-    setSelectedPolygonId(next.selectedPolygonId);
-    setZoom(next.zoom);
-    setPan(next.pan);
-    setRedoStack((st) => st.slice(0, -1));
+    setSelectedVertex(null);
+    setMessage(`Split ${poly.label} into ${pieces.length} polygons`);
+  };
+
+  // ---------- Object list ----------
+  const togglePolygonFlag = (id, field) => {
+    const poly = polygons.find((p) => p.id === id);
+    if (!poly) return;
+    const verb = { hidden: ["Hide", "Show"], locked: ["Lock", "Unlock"] }[field][poly[field] ? 1 : 0];
+    perform(`${verb} ${poly.label}`, [updatePolygon(id, { [field]: poly[field] }, { [field]: poly[field] ? undefined : true })]);
+    if (field === "hidden" && !poly.hidden && id === selectedPolygonId) setSelectedPolygonId(null);
   };
+
+  // Typing in a text field merges into one history entry per attribute
+  const setAttribute = (id, name, value) => {
+    const poly = polygons.find((p) => p.id === id);
+    if (!poly) return;
+    perform(`Set ${name} of ${poly.label}`, [updatePolygon(id, { attributes: poly.attributes }, { attributes: { ...poly.attributes, [name]: value } })], `attr_${id}_${name}`);
+  };
+
+  // ---------- QA ----------
+  useEffect(() => saveBlockExport(blockExport), [blockExport]);
+
+  const waiveIssue = ({ polygonId, rule }, waive) => {
+    const poly = polygons.find((p) => p.id === polygonId);
+    if (!poly) return;
+    const rest = (poly.waived || []).filter((r) => r !== rule);
+    const waived = waive ? [...rest, rule] : rest;
+    perform(`${waive ? "Waive" : "Unwaive"} "${ruleTitle(rule)}" on ${poly.label}`, [updatePolygon(polygonId, { waived: poly.waived }, { waived: waived.length ? waived : undefined })]);
+  };
+
+  // Every review change records the reviewer and time; typing a comment merges into one history entry
+  const reviewPolygon = (id, patch, title, mergeKey) => {
+    const poly = polygons.find((p) => p.id === id);
+    if (!poly) return;
+    const review = { status: null, comment: "", ...poly.review, ...patch, reviewer: auth?.user, time: Date.now() };
+    const empty = !review.status && !review.comment;
+    perform(`${title} ${poly.label}`, [updatePolygon(id, { review: poly.review }, { review: empty ? undefined : review })], mergeKey);
+  };
+
+  // accepting moves on to the next polygon; after a rejection the reviewer usually leaves a comment
+  const setReviewStatus = (id, status) => {
+    reviewPolygon(id, { status }, { accepted: "Accept", rejected: "Reject" }[status] || "Clear review of");
+    if (status === "accepted") nextToReview(id);
+  };
+
+  const commentPolygon = (id, comment) => reviewPolygon(id, { comment }, "Comment on", `review_${id}`);
+
+  // the next polygon without a review, in drawing order after `fromId`
+  const nextToReview = (fromId = selectedPolygonId) => {
+    const start = polygons.findIndex((p) => p.id === fromId);
+    const next = [...polygons.slice(start + 1), ...polygons.slice(0, start + 1)].find((p) => !p.review?.status && p.id !== fromId);
+    if (next) focusPolygon(next.id);
+  };
+
+  const reorderPolygon = (from, to) => {
+    perform(`Reorder ${polygons[from].label}`, [movePolygon(from, to)]);
+  };
+
+  // Select from the list and center the view on the object (zoom stays as it is)
+  const focusPolygon = (id) => {
+    const poly = polygons.find((p) => p.id === id);
+    if (!poly) return;
+    const [x, y, w, h] = shapeBbox(poly);
+    setMode("edit");
+    setSelectedPolygonId(id);
+    setSelectedVertex(null);
+    setPan({ x: stageSize.width / 2 - (x + w / 2) * zoom, y: stageSize.height / 2 - (y + h / 2) * zoom });
+  };
+
+  // leaving draw mode drops an unfinished outline
+  useEffect(() => {
+    if (mode !== "draw") cancelDrawing();
+    if (mode !== "edit") {
+      setSelectedVertex(null);
+      setExtraSelectedIds([]);
+      cancelSplit();
+    }
+  }, [mode]);
+
+  // ---------- Label taxonomy ----------
+  useEffect(() => saveLabels(labels), [labels]);
+
+  // keep the active class valid when classes are removed or renamed
+  useEffect(() => {
+    if (!labels.some((l) => l.name === activeLabel)) setActiveLabel(labels[0].name);
+  }, [labels]);
+
+  // The relabeling is recorded in every image's history, so undoing past it restores matching names
+  const renameLabel = (from, to) => {
+    const title = `Rename class ${from} to ${to}`;
+    const ops = (polys) => polys.filter((p) => p.label === from).map((p) => updatePolygon(p.id, { label: from }, { label: to }));
+    const active = ops(polygons);
+    if (active.length) perform(title, active);
+    setImages((prev) =>
+      prev.map((im) => {
+        const changes = im.id === activeImageId ? [] : ops(im.polygons);
+        if (!changes.length) return im;
+        const entry = { title, ops: changes, time: Date.now() };
+        return { ...im, polygons: applyOps({ polygons: im.polygons }, changes).polygons, history: pushEntry(im.history, entry) };
+      })
+    );
+    if (activeLabel === from) setActiveLabel(to);
+  };
+
+  const importLabels = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const set = parseLabelSet(JSON.parse(await file.text()));
+      setLabels(set);
+      setMessage(`Loaded ${set.length} label classes`);
+    } catch (err) {
+      setMessage(`Label import error: ${err.message}`);
+    }
+  };
+
+  const exportLabels = () => {
+    download("labels.json", new Blob([JSON.stringify({ labels }, null, 2)], { type: "application/json" }));
+  };
+
+  // Undo / Redo / Clear
+  const jumpTo = (target) => {
+    if (target < 0 || target > history.entries.length || target === history.index) return;
+    setDoc(travel({ points, box, polygons }, history, target));
+    setHistory((h) => ({ ...h, index: target }));
+  };
+  const undo = () => jumpTo(history.index - 1);
+  const redo = () => jumpTo(history.index + 1);
+
+  // drop selections that undo/redo removed
+  useEffect(() => {
+    if (selectedPolygonId && !polygons.some((p) => p.id === selectedPolygonId)) setSelectedPolygonId(null);
+    setExtraSelectedIds((ids) => ids.filter((id) => polygons.some((p) => p.id === id)));
+  }, [polygons]);
+
+  // a new primary selection starts a new multi-selection
+  useEffect(() => {
+    setExtraSelectedIds([]);
+    if (!selectedPolygonId) cancelSplit();
+  }, [selectedPolygonId]);
+
   const clearAll = () => {
-    saveState();
-    setPoints([]); setPolygons([]); setSelectedPolygonId(null);
+    perform("Clear all", [replacePolygons(polygons, []), setPrompt({ points, box }, { points: [], box: null })]);
+    setSelectedPolygonId(null);
+  };
+  // Replaces the annotations of the open image with 1,000 generated polygons (undoable)
+  const loadBenchmark = () => {
+    if (!imageObj) return;
+    perform("Benchmark scene", [replacePolygons(polygons, benchmarkPolygons(imageObj.width, imageObj.height, 1000, labels.map((l) => l.name)))]);
+    setSelectedPolygonId(null);
+    setShowFps(true);
+  };
+
+  const clearPrompt = () => {
+    if (!points.length && !box) return;
+    perform("Clear points", [setPrompt({ points, box }, { points: [], box: null })]);
+  };
+
+  // Tab through polygons in drawing order
+  const cycleSelection = (step) => {
+    if (!polygons.length) return;
+    const idx = polygons.findIndex((p) => p.id === selectedPolygonId);
+    const next = idx < 0 ? (step > 0 ? 0 : polygons.length - 1) : (idx + step + polygons.length) % polygons.length;
+    setMode("edit");
+    setSelectedPolygonId(polygons[next].id);
+    setSelectedVertex(null);
+  };
+
+  const pickLabel = (name) => {
+    setActiveLabel(name);
+    if (selectedPolygonId) relabelSelected(name);
   };
 
   // Export / Import
-  const exportJSON = () => {
-    if (!imageFile) return;
-    const data = {
-      image: imageFile.name,
-      width: imageObj?.width || 0,
-      height: imageObj?.height || 0,
-      polygons: polygons.map((p) => p.points),
-      labels: polygons.map((p) => p.label || "Object"),
-      scores: polygons.map((p) => p.score ?? null),
-    };
-    download(`${imageFile.name}_annotations.json`, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
-  };
-  const exportCOCO = () => {
-    if (!imageFile) return;
-    const width = imageObj?.width || 0;
-    const height = imageObj?.height || 0;
-    const anns = polygons.map((p, i) => {
-      const xs = p.points.map((q) => q[0]);
-      const ys = p.points.map((q) => q[1]);
-      const minX = Math.min(...xs), maxX = Math.max(...xs);
-      const minY = Math.min(...ys), maxY = Math.max(...ys);
-      return {
-        id: i + 1, image_id: 1, category_id: i + 1,
-        segmentation: [p.points.flat()],
-        area: (maxX - minX) * (maxY - minY),
-        bbox: [minX, minY, maxX - minX, maxY - minY],
-        iscrowd: 0,
-      };
-    });
-    const coco = {
-      info: { description: `Annotations for ${imageFile.name}`, version: "1.0" },
-      images: [{ id: 1, file_name: imageFile.name, width, height }],
-      annotations: anns,
-      categories: polygons.map((p, i) => ({ id: i + 1, name: p.label || "object", supercategory: "object" })),
-    };
-    download(`${imageFile.name}_coco.json`, new Blob([JSON.stringify(coco, null, 2)], { type: "application/json" }));
+  // Fill in width/height for images that were never opened in the editor
+  const withSizes = async (list) => {
+    const sized = await Promise.all(
+      list.map(async (im) => (im.width ? im : { ...im, ...(await loadImageSize(im.url)) }))
+    );
+    const sizes = new Map(sized.map((im) => [im.id, im]));
+    setImages((prev) => prev.map((im) => (sizes.has(im.id) ? { ...im, width: sizes.get(im.id).width, height: sizes.get(im.id).height } : im)));
+    return sized;
+  };
+
+  // Exports carry every attribute of an object's class, unset ones with their default value
+  const withAttributeValues = (im) => ({
+    ...im,
+    polygons: im.polygons.map((p) => {
+      const { attributes, ...rest } = p;
+      const values = attributeValues(findLabel(labels, p.label)?.attributes, p);
+      return Object.keys(values).length ? { ...rest, attributes: values } : rest;
+    }),
+  });
+
+  const exportAnnotations = async () => {
+    const format = getFormat(exportFormat);
+    // every image is exported, also unannotated ones, so dataset ids follow the project order
+    const list = projectImages().map(withAttributeValues);
+    if (!list.length) return;
+    try {
+      const sized = await withSizes(list);
+      if (blockExport) {
+        const open = sized.reduce((n, im) => n + openIssues(validateImage(im)).length, 0);
+        if (open) {
+          setShowQA(true);
+          return setMessage(`Export blocked: ${open} open QA issue(s). Fix or waive them in "Validate".`);
+        }
+      }
+      const options = Object.fromEntries((format.options || []).map((o) => [o.key, formatOptions[o.key] ?? o.default]));
+      const files = await format.exportFiles(sized, { labels: labels.map((l) => l.name), labelSet: labels, options });
+      if (files.length === 1) {
+        download(files[0].name.split("/").pop(), new Blob([files[0].content], { type: "application/octet-stream" }));
+      } else {
+        const name = list.length === 1 ? baseName(list[0].file.name) : "project";
+        download(`${name}_${format.id}.zip`, makeZip(files));
+      }
+      setMessage(`Exported ${list.length} image(s) as ${format.name}`);
+    } catch (err) {
+      setMessage(`Export error: ${err.message}`);
+    }
   };
-  const importJSON = async (e) => {
+
+  // ---------- Compare ----------
+  const compareRows = useMemo(() => (reference ? matchAnnotations(polygons, reference.polygons, compareIoU) : []), [polygons, reference, compareIoU]);
+
+  // A JSON or COCO file from another annotator; only the open image's entry is used
+  const loadReference = async (e) => {
     const file = e.target.files?.[0];
-    if (!file) return;
-    const text = await file.text();
+    e.target.value = "";
+    if (!file || !imageFile) return;
     try {
-      const data = JSON.parse(text);
-      if (!data.polygons) throw new Error("Invalid file");
-      saveState();
-      setPolygons(
-        data.polygons.map((pts, i) => ({ id: `imp_${i}_${Date.now()}`, points: pts, label: data.labels?.[i] || `Obj_${i + 1}` }))
+      const text = await file.text();
+      // COCO files have an annotations list, this tool's JSON has polygons
+      const format = getFormat(JSON.parse(text).annotations ? "coco" : "json");
+      const { images: found } = format.importFile(text, { fileName: file.name, labels: labels.map((l) => l.name) });
+      const match =
+        found.find((r) => r.file_name === imageFile.name || baseName(r.file_name || "") === baseName(imageFile.name)) ||
+        (found.length === 1 ? found[0] : null);
+      if (!match) throw new Error(`No annotations for ${imageFile.name} in the file`);
+      setReference({ name: file.name, polygons: match.polygons });
+      setCompareRow(null);
+      setMessage(`Comparing with ${match.polygons.length} objects from ${file.name}`);
+    } catch (err) {
+      setMessage(`Compare error: ${err.message}`);
+    }
+  };
+
+  // Fit both objects of a row in the view and select the current one
+  const zoomToRow = (k) => {
+    const row = compareRows[k];
+    if (!row) return;
+    setCompareRow(k);
+    const shapes = [row.current != null && polygons[row.current], row.reference != null && reference.polygons[row.reference]].filter(Boolean);
+    const [x, y, w, h] = shapeBbox({ points: shapes.flatMap(allRings).flat() });
+    const nextZoom = Math.min(Math.max(Math.min(stageSize.width / (2 * w || 1), stageSize.height / (2 * h || 1)), 0.05), 8);
+    setZoom(nextZoom);
+    setPan({ x: stageSize.width / 2 - (x + w / 2) * nextZoom, y: stageSize.height / 2 - (y + h / 2) * nextZoom });
+    setSelectedPolygonId(row.current != null ? polygons[row.current].id : null);
+  };
+
+  const exportComparison = () => {
+    if (!reference) return;
+    const csv = compareCSV(compareRows, polygons, reference.polygons);
+    download(`${baseName(imageFile.name)}_comparison.csv`, new Blob([csv], { type: "text/csv" }));
+  };
+
+  // Import one or more files in the selected format and assign them to project images
+  const importAnnotations = async (e) => {
+    const format = getFormat(exportFormat);
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length || !format.importFile) return;
+    try {
+      const results = [];
+      let skipped = 0;
+      // formats may read companion files of the selection (YOLO's classes.txt)
+      const bundle = new Map(await Promise.all(files.map(async (file) => [file.name, await file.text()])));
+      for (const [fileName, text] of bundle) {
+        const res = format.importFile(text, { fileName, labels: labels.map((l) => l.name), bundle });
+        results.push(...res.images);
+        skipped += res.skipped || 0;
+      }
+
+      const list = projectImages();
+      const byName = new Map();
+      for (const im of list) { byName.set(im.file.name, im); byName.set(baseName(im.file.name), im); }
+
+      // match by file name; a single-image file also applies to the open image
+      const assigned = new Map();
+      for (const r of results) {
+        const target = byName.get(r.file_name) || byName.get(baseName(r.file_name)) || (results.length === 1 ? list.find((im) => im.id === activeImageId) : null);
+        if (target) assigned.set(target.id, r);
+      }
+      if (!assigned.size) throw new Error("No images in the file match the project");
+
+      // normalized formats (YOLO) are scaled to the image size
+      const sized = new Map((await withSizes(list.filter((im) => assigned.get(im.id)?.normalized))).map((im) => [im.id, im]));
+      // new classes and attributes found in the file extend the label set
+      const imported = [...assigned.values()].flatMap((r) => r.polygons);
+      const nextLabels = withAttributeSchema(withLabels(labels, imported.map((p) => p.label)), imported);
+      const coerce = (p) => {
+        const schema = findLabel(nextLabels, p.label)?.attributes || [];
+        return Object.fromEntries(Object.entries(p.attributes).map(([name, value]) => {
+          const attr = schema.find((a) => a.name === name);
+          return [name, attr ? coerceAttribute(attr, value) : value];
+        }));
+      };
+
+      const stamp = Date.now();
+      const toPolys = (id) => {
+        const r = assigned.get(id);
+        const im = sized.get(id);
+        return r.polygons.map((p, i) => ({
+          id: `imp_${i}_${stamp}`,
+          ...p,
+          points: r.normalized ? p.points.map(([x, y]) => [x * im.width, y * im.height]) : p.points,
+          ...(p.attributes ? { attributes: coerce(p) } : {}),
+        }));
+      };
+
+      setLabels(nextLabels);
+      if (assigned.has(activeImageId)) {
+        perform(`Import ${format.name}`, [replacePolygons(polygons, toPolys(activeImageId))]);
+      }
+      setImages((prev) =>
+        prev.map((im) => {
+          if (im.id === activeImageId || !assigned.has(im.id)) return im;
+          const next = toPolys(im.id);
+          const entry = { title: `Import ${format.name}`, ops: [replacePolygons(im.polygons, next)], time: Date.now() };
+          return { ...im, polygons: next, history: pushEntry(im.history, entry) };
+        })
       );
-      setMessage(`Loaded ${data.polygons.length} polygons from JSON`);
+      const count = [...assigned.values()].reduce((n, r) => n + r.polygons.length, 0);
+      setMessage(`Loaded ${count} polygons for ${assigned.size} image(s) from ${format.name}${skipped ? `, skipped ${skipped} unsupported entries` : ""}`);
     } catch (err) {
       setMessage(`Import error: ${err.message}`);
     }
   };
 
+  // ---------- Shortcuts / command palette ----------
+  const [bindingOverrides, setBindingOverrides] = useState(loadBindings);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+
+  useEffect(() => saveBindings(bindingOverrides), [bindingOverrides]);
+
+  const selectedPolygon = polygons.find((p) => p.id === selectedPolygonId);
+  const issues = useMemo(() => validateImage({ polygons, width: imageObj?.width, height: imageObj?.height }), [polygons, imageObj]);
+  const openIssueCount = openIssues(issues).length;
+  const drawing = () => mode === "draw" && drawPoints.length > 0;
+  const toggleMode = (m) => setMode(mode === m ? null : m);
+
+  // Every editor action. Actions sharing a key are tried in order, contextual (`when`) ones first.
+  const actions = [
+    { id: "candidates.next", group: "SAM", title: "Next mask candidate", keys: ["Tab"], when: () => !!candidates, run: () => setCandidateIdx((i) => (i + 1) % candidates.length) },
+    { id: "candidates.prev", group: "SAM", title: "Previous mask candidate", keys: ["Shift+Tab"], when: () => !!candidates, run: () => setCandidateIdx((i) => (i - 1 + candidates.length) % candidates.length) },
+    { id: "candidates.confirm", group: "SAM", title: "Confirm mask candidate", keys: ["Enter"], when: () => !!candidates, run: confirmCandidate },
+    { id: "candidates.cancel", group: "SAM", title: "Cancel mask candidates", keys: ["Escape"], when: () => !!candidates, run: cancelCandidates },
+    { id: "draw.finish", group: "Draw", title: "Close polygon", keys: ["Enter"], when: drawing, run: finishDrawing },
+    { id: "draw.cancel", group: "Draw", title: "Cancel polygon", keys: ["Escape"], when: drawing, run: cancelDrawing },
+    { id: "draw.removeVertex", group: "Draw", title: "Remove last vertex", keys: ["Backspace"], when: drawing, run: () => setDrawPoints((prev) => prev.slice(0, -1)) },
+    { id: "split.cancel", group: "Edit", title: "Cancel split", keys: ["Escape"], when: () => !!splitPoints, run: cancelSplit },
+    { id: "vertex.delete", group: "Edit", title: "Delete selected vertex", keys: ["Delete", "Backspace"], when: () => mode === "edit" && !!selectedPolygonId && selectedVertex != null, run: () => deleteVertex(selectedPolygonId, selectedVertex) },
+    { id: "sam.run", group: "SAM", title: "Detect polygon", keys: ["Enter"], run: runSAM },
+    { id: "sam.clearPrompt", group: "SAM", title: "Clear points and box", keys: ["Escape"], run: clearPrompt },
+    { id: "sam.multimask", group: "SAM", title: "Toggle multi-mask", keys: ["M"], run: () => setMultimask((v) => !v) },
+    { id: "mode.points", group: "Mode", title: "Select the Object (points)", keys: ["S"], run: () => toggleMode("points") },
+    { id: "mode.box", group: "Mode", title: "Box", keys: ["B"], run: () => toggleMode("box") },
+    { id: "mode.draw", group: "Mode", title: "Draw", keys: ["D"], run: () => toggleMode("draw") },
+    { id: "mode.edit", group: "Mode", title: "Edit", keys: ["E"], run: () => toggleMode("edit") },
+    { id: "mode.wand", group: "Mode", title: "Magic wand", keys: ["W"], run: () => toggleMode("wand") },
+    { id: "polygon.next", group: "Edit", title: "Select next polygon", keys: ["Tab"], run: () => cycleSelection(1) },
+    { id: "polygon.prev", group: "Edit", title: "Select previous polygon", keys: ["Shift+Tab"], run: () => cycleSelection(-1) },
+    { id: "polygon.delete", group: "Edit", title: "Delete selected polygon", keys: ["Delete", "Backspace"], when: () => !!selectedPolygonId, run: deleteSelected },
+    { id: "polygon.union", group: "Edit", title: "Merge selected polygons", keys: ["U"], when: () => extraSelectedIds.length > 0, run: () => combineSelected("union") },
+    { id: "polygon.difference", group: "Edit", title: "Subtract polygons from the selected one", keys: ["Shift+U"], when: () => extraSelectedIds.length > 0, run: () => combineSelected("difference") },
+    { id: "polygon.intersection", group: "Edit", title: "Intersect selected polygons", keys: ["I"], when: () => extraSelectedIds.length > 0, run: () => combineSelected("intersection") },
+    { id: "polygon.split", group: "Edit", title: "Split selected polygon along a line", keys: ["K"], when: () => mode === "edit" && !!selectedPolygonId, run: startSplit },
+    { id: "history.undo", group: "History", title: "Undo", keys: ["Ctrl+Z"], run: undo },
+    { id: "history.redo", group: "History", title: "Redo", keys: ["Ctrl+Y", "Ctrl+Shift+Z"], run: redo },
+    { id: "objects.panel", group: "Edit", title: "Show object list", keys: ["O"], run: () => setShowObjects((v) => !v) },
+    { id: "review.accept", group: "Review", title: "Accept the selected polygon", keys: ["Y"], when: () => showReview && !!selectedPolygonId, run: () => setReviewStatus(selectedPolygonId, "accepted") },
+    { id: "review.reject", group: "Review", title: "Reject the selected polygon", keys: ["N"], when: () => showReview && !!selectedPolygonId, run: () => setReviewStatus(selectedPolygonId, "rejected") },
+    { id: "review.panel", group: "Review", title: "Show review panel", keys: ["R"], run: () => setShowReview((v) => !v) },
+    { id: "qa.panel", group: "Review", title: "Show validation issues", keys: ["V"], run: () => setShowQA((v) => !v) },
+    { id: "compare.panel", group: "Review", title: "Compare with another annotator", keys: [], run: () => setShowCompare((v) => !v) },
+    { id: "auto.panel", group: "SAM", title: "Auto-annotate (segment everything)", keys: ["A"], run: () => setShowAuto((v) => !v) },
+    { id: "history.panel", group: "History", title: "Show history", keys: ["H"], run: () => setShowHistory((v) => !v) },
+    { id: "display.panel", group: "Image", title: "Display adjustments", keys: ["G"], run: () => setShowDisplay((v) => !v) },
+    { id: "edit.clearAll", group: "Edit", title: "Clear all annotations", keys: [], run: clearAll },
+    ...labels.map((l, i) => ({
+      id: `label.${l.name}`,
+      group: "Label",
+      title: `Use class "${l.name}"`,
+      keys: i < 9 ? [String(i + 1)] : [],
+      run: () => pickLabel(l.name),
+    })),
+    { id: "labels.manage", group: "Label", title: "Manage labels", keys: [], run: () => setShowLabelManager(true) },
+    { id: "image.next", group: "Image", title: "Next image", keys: ["]"], run: () => stepImage(1) },
+    { id: "image.prev", group: "Image", title: "Previous image", keys: ["["], run: () => stepImage(-1) },
+    { id: "image.done", group: "Image", title: "Toggle done", keys: [], run: toggleDone },
+    { id: "file.save", group: "File", title: "Save annotations", keys: ["Ctrl+S"], run: exportAnnotations },
+    { id: "file.drafts", group: "File", title: "Open drafts", keys: [], run: openDraftManager },
+    ...FORMATS.map((f) => ({ id: `format.${f.id}`, group: "File", title: `Use ${f.name} format`, keys: [], run: () => setExportFormat(f.id) })),
+    { id: "app.palette", group: "App", title: "Command palette", keys: ["Ctrl+K"], run: () => setPaletteOpen(true) },
+    { id: "dev.benchmark", group: "App", title: "Load benchmark scene (1,000 polygons)", keys: [], run: loadBenchmark },
+    { id: "dev.fps", group: "App", title: "Show frame rate", keys: [], run: () => setShowFps((v) => !v) },
+    { id: "app.shortcuts", group: "App", title: "Keyboard shortcuts", keys: ["Ctrl+/"], run: () => setShortcutsOpen(true) },
+  ];
+
+  const shortcutHint = (id) => {
+    const keys = keysFor(actions.find((a) => a.id === id), bindingOverrides);
+    return keys.length ? `Shortcut: ${keys.join(", ")}` : undefined;
+  };
+
+  useEffect(() => {
+    if (!isLoggedIn || !imageUrl || paletteOpen || shortcutsOpen) return;
+    const onKey = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const combo = comboFromEvent(e);
+      const action = combo && findAction(actions, bindingOverrides, combo);
+      if (!action) return;
+      e.preventDefault();
+      action.run();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const runFromPalette = (action) => {
+    setPaletteOpen(false);
+    action.run();
+  };
+
   // Example effect (runs always, no matter login state)
   useEffect(() => {
     console.log("App mounted");
   }, []);
 
+  // 🔹 Expired or revoked tokens send the user back to the login screen. The project stays in
+  // memory (and in the autosave), so logging in again continues where they left off.
+  const expireAuth = () => {
+    clearAuth();
+    setAuth(null);
+    setUserMenuOpen(false);
+    setAuthNotice("Your session has expired. Log in again to continue, your annotations are kept.");
+  };
+
+  useEffect(() => onUnauthorized(expireAuth), []);
+
+  useEffect(() => {
+    if (!auth) return;
+    const timer = setTimeout(expireAuth, Math.min(auth.expiresAt - Date.now(), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [auth]);
+
+  // a token restored after a reload may have been revoked (e.g. the server restarted)
+  useEffect(() => {
+    if (auth) api.get("/auth/me").catch(() => {});
+  }, []);
+
   // 🔹 Login handler
   const handleLogin = async () => {
     try {
-      const res = await axios.post(`${API_BASE}/auth`, { password });
-      if (res.data.ok) {
-        setIsLoggedIn(true);
-      } else {
-        alert("Wrong password!");
-      }
-    } catch {
-      alert("Login error");
+      setAuth(await login(password, username));
+      setPassword("");
+      setAuthNotice("");
+    } catch (err) {
+      alert(err?.response?.status === 401 ? "Wrong password!" : "Login error");
     }
   };
 
   // 🔹 Logout
-  const handleLogout = () => {
-    setIsLoggedIn(false);
+  const handleLogout = async () => {
+    // the session needs the token, so end it first
+    await endSession(sessionId);
+    setSessionId(null);
+    setImages((prev) => prev.map((im) => ({ ...im, sessionId: null })));
+    await logout();
+    setAuth(null);
     setPassword("");
+    setUserMenuOpen(false);
   };
   // ---------- RENDER ----------
   return (
@@ -430,11 +1508,20 @@ export default function App() {
         <div className="flex items-center justify-center h-screen bg-gray-100">
           <div className="p-6 bg-white rounded-2xl shadow-md w-80">
             <h2 className="text-xl mb-4 font-bold">🔑 Login</h2>
+            {authNotice && <div className="mb-3 p-2 rounded bg-amber-50 border border-amber-300 text-sm text-amber-800">{authNotice}</div>}
+            <input
+              id="username-input"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Name (optional)"
+              className="border p-2 rounded w-full mb-3"
+            />
             <input
               type="password"
               id="password-input" 
               value={password}
               onChange={(e) => setPassword(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleLogin()}
               placeholder="Enter password"
               className="border p-2 rounded w-full mb-3"
             />
@@ -449,13 +1536,59 @@ export default function App() {
       ) : (
         <>
       <header className="px-6 py-4 border-b bg-white shadow-sm sticky top-0 z-10 flex items-center justify-center">
+        <div
+          className="absolute left-6 top-1/2 -translate-y-1/2 flex items-center gap-2 text-sm text-gray-600"
+          title={health?.status === "ok" ? `Backend ${API_BASE}${sessionId ? ", image session ready" : ""}` : `No answer from ${API_BASE}`}
+        >
+          <span className={`w-2.5 h-2.5 rounded-full ${!health ? "bg-gray-300" : health.status === "ok" ? "bg-emerald-500" : "bg-red-500"}`} />
+          {!health ? "Checking backend…" : health.status === "ok" ? `SAM on ${health.cuda_device_name || health.device}` : "Backend offline"}
+        </div>
+        <div className="absolute right-6 top-1/2 -translate-y-1/2 text-sm">
+          <button className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200" onClick={() => setUserMenuOpen((v) => !v)}>
+            👤 {auth.user} ▾
+          </button>
+          {userMenuOpen && (
+            <div className="absolute right-0 mt-1 w-56 bg-white rounded shadow-lg border z-20">
+              <div className="px-3 py-2 text-xs text-gray-500 border-b">
+                Signed in as {auth.user}
+                <br />
+                Session ends {new Date(auth.expiresAt).toLocaleTimeString()}
+              </div>
+              <button className="block w-full text-left px-3 py-2 hover:bg-gray-100" onClick={handleLogout}>
+                Log out
+              </button>
+            </div>
+          )}
+        </div>
+        {!imageUrl && restoreOffer && (
+          <div className="mr-4 w-64 h-32 flex flex-col items-center justify-center gap-2 border-2 border-amber-400 bg-amber-50 rounded-lg text-sm">
+            <span className="text-gray-700">Unsaved work from {new Date(restoreOffer.updatedAt).toLocaleString()}</span>
+            <span className="text-xs text-gray-500">{restoreOffer.imageKeys.length} image(s)</span>
+            <div className="flex gap-2">
+              <button className="px-3 py-1 rounded bg-amber-500 text-white hover:bg-amber-600" onClick={restoreSession}>Restore</button>
+              <button className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={() => setRestoreOffer(null)}>Dismiss</button>
+            </div>
+          </div>
+        )}
         {!imageUrl && (
           <label className="w-64 h-32 flex flex-col items-center justify-center border-2 border-dashed border-gray-400 rounded-lg cursor-pointer hover:border-blue-500 transition-colors">
-            <span className="text-gray-600">📂 Upload Image</span>
-            <span className="text-xs text-gray-400">(click to select)</span>
-            <input type="file" id="image-upload-header" accept="image/*" onChange={handleImageUpload} className="hidden" />
+            <span className="text-gray-600">📂 Upload Images</span>
+            <span className="text-xs text-gray-400">(click to select one or more)</span>
+            <input type="file" id="image-upload-header" accept="image/*" multiple onChange={handleImageUpload} className="hidden" />
           </label>
         )}
+        {!imageUrl && (
+          <label className="ml-4 w-64 h-32 flex flex-col items-center justify-center border-2 border-dashed border-gray-400 rounded-lg cursor-pointer hover:border-blue-500 transition-colors">
+            <span className="text-gray-600">🗂️ Upload Folder</span>
+            <span className="text-xs text-gray-400">(all images in a directory)</span>
+            <input type="file" id="folder-upload-header" webkitdirectory="" directory="" multiple onChange={handleImageUpload} className="hidden" />
+          </label>
+        )}
+        {!imageUrl && (
+          <button className="ml-4 px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300" onClick={openDraftManager}>
+            🗄️ Drafts
+          </button>
+        )}
       </header> 
         <main
           className="flex-1 flex flex-col bg-cover bg-center"
@@ -466,122 +1599,458 @@ export default function App() {
           <>
             <div className="bg-white shadow-sm p-2 flex justify-center gap-2 flex-wrap">
               <label className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 cursor-pointer text-sm text-gray-700 transition-colors">
-                <span>Upload New Image</span>
-                <input type="file" id="image-upload-toolbar" accept="image/*" onChange={handleImageUpload} className="hidden" />
+                <span>Add Images</span>
+                <input type="file" id="image-upload-toolbar" accept="image/*" multiple onChange={handleImageUpload} className="hidden" />
+              </label>
+              <label className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 cursor-pointer text-sm text-gray-700 transition-colors">
+                <span>Add Folder</span>
+                <input type="file" id="folder-upload-toolbar" webkitdirectory="" directory="" multiple onChange={handleImageUpload} className="hidden" />
               </label>
+              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={openDraftManager}>
+                <span className="mr-2">🗄️</span> Drafts
+              </button>
+              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={() => setShortcutsOpen(true)} title={shortcutHint("app.shortcuts")}>
+                <span className="mr-2">⌨️</span> Shortcuts
+              </button>
               <button
                 className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${mode === "points" ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
                 onClick={() => setMode(mode === "points" ? null : "points")}
               >
                 <span className="mr-2">📍</span> Select the Object
               </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${mode === "box" ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setMode(mode === "box" ? null : "box")}
+              >
+                <span className="mr-2">⬚</span> Box
+              </button>
               <button
                 className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${mode === "edit" ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
                 onClick={() => setMode(mode === "edit" ? null : "edit")}
               >
                 <span className="mr-2">🖌️</span> Edit
               </button>
-              <button className="flex items-center justify-center px-3 py-1 rounded bg-emerald-600 text-white text-sm hover:bg-emerald-700 transition-colors" onClick={runSAM}>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${mode === "draw" ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setMode(mode === "draw" ? null : "draw")}
+              >
+                <span className="mr-2">✏️</span> Draw
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${mode === "wand" ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setMode(mode === "wand" ? null : "wand")}
+                title={shortcutHint("mode.wand")}
+              >
+                <span className="mr-2">🪄</span> Wand
+              </button>
+              {mode === "wand" && (
+                <label className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm" title="Color tolerance of the flood fill">
+                  Tolerance
+                  <input type="range" className="mx-2 w-24" min={0} max={128} value={wandTolerance} onChange={(e) => setWandTolerance(Number(e.target.value))} />
+                  {wandTolerance}
+                </label>
+              )}
+              {mode === "edit" && selectedPolygonId && (
+                <>
+                  {Object.entries(BOOLEANS).map(([kind, { title }]) => (
+                    <button
+                      key={kind}
+                      className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors disabled:opacity-50"
+                      onClick={() => combineSelected(kind)}
+                      disabled={!extraSelectedIds.length}
+                      title={shortcutHint(`polygon.${kind}`) || "Shift-click more polygons first"}
+                    >
+                      {title}
+                    </button>
+                  ))}
+                  <button
+                    className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${splitPoints ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                    onClick={splitPoints ? cancelSplit : startSplit}
+                    title={shortcutHint("polygon.split")}
+                  >
+                    <span className="mr-2">✂️</span> Split
+                  </button>
+                </>
+              )}
+              <button className="flex items-center justify-center px-3 py-1 rounded bg-emerald-600 text-white text-sm hover:bg-emerald-700 transition-colors" onClick={runSAM} title={shortcutHint("sam.run")}>
                 <span className="mr-2">🔍</span> Detect Polygon
               </button>
-              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={undo} disabled={!undoStack.length}>
+              <label className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm cursor-pointer">
+                <input type="checkbox" className="mr-2" checked={multimask} onChange={(e) => setMultimask(e.target.checked)} />
+                Multi-mask
+              </label>
+              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={undo} disabled={!history.index} title={shortcutHint("history.undo")}>
                 <span className="mr-2">↩️</span> Undo
               </button>
-              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={redo} disabled={!redoStack.length}>
+              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={redo} disabled={history.index >= history.entries.length} title={shortcutHint("history.redo")}>
                 <span className="mr-2">↪️</span> Redo
               </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showHistory ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowHistory((v) => !v)}
+                title={shortcutHint("history.panel")}
+              >
+                <span className="mr-2">🕘</span> History
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showObjects ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowObjects((v) => !v)}
+                title={shortcutHint("objects.panel")}
+              >
+                <span className="mr-2">📋</span> Objects
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showDisplay ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowDisplay((v) => !v)}
+                title={shortcutHint("display.panel")}
+              >
+                <span className="mr-2">🎚️</span> Display
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showAuto ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowAuto((v) => !v)}
+                title={shortcutHint("auto.panel")}
+              >
+                <span className="mr-2">✨</span> Auto-annotate{suggestions.length ? ` (${suggestions.length})` : ""}
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showQA ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowQA((v) => !v)}
+                title={shortcutHint("qa.panel")}
+              >
+                <span className="mr-2">🩺</span> Validate{openIssueCount ? ` (${openIssueCount})` : ""}
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showReview ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowReview((v) => !v)}
+                title={shortcutHint("review.panel")}
+              >
+                <span className="mr-2">📝</span> Review
+              </button>
+              <button
+                className={`flex items-center justify-center px-3 py-1 rounded text-sm transition-colors ${showCompare ? "bg-cyan-500 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                onClick={() => setShowCompare((v) => !v)}
+                title={shortcutHint("compare.panel")}
+              >
+                <span className="mr-2">⚖️</span> Compare
+              </button>
               <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={clearAll}>
                 <span className="mr-2">🗑️</span> Clear
               </button>
-              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={exportJSON} disabled={!polygons.length}>
-                <span className="mr-2">💾</span> Save JSON
-              </button>
-              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={exportCOCO} disabled={!polygons.length}>
-                <span className="mr-2">💾</span> Save COCO
+              <select
+                className="px-2 py-1 rounded bg-gray-200 text-gray-700 text-sm"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+              >
+                {FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>{f.name}</option>
+                ))}
+              </select>
+              {(getFormat(exportFormat).options || []).map((o) => (
+                <label key={o.key} className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={formatOptions[o.key] ?? o.default}
+                    onChange={(e) => setFormatOptions((prev) => ({ ...prev, [o.key]: e.target.checked }))}
+                  />
+                  {o.label}
+                </label>
+              ))}
+              <button className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 text-gray-700 text-sm hover:bg-gray-300 transition-colors" onClick={exportAnnotations} disabled={!projectImages().some((im) => im.polygons.length)}>
+                <span className="mr-2">💾</span> Save
               </button>
-              <label className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 cursor-pointer text-sm text-gray-700 transition-colors">
-                <span>Load JSON</span>
-                <input type="file" accept=".json" className="hidden" onChange={importJSON} />
-              </label>
+              {getFormat(exportFormat).importFile && (
+                <label className="flex items-center justify-center px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 cursor-pointer text-sm text-gray-700 transition-colors">
+                  <span>Load</span>
+                  <input type="file" accept={getFormat(exportFormat).accept} multiple className="hidden" onChange={importAnnotations} />
+                </label>
+              )}
             </div>
-            <div ref={containerRef} className="flex-1 relative bg-white overflow-hidden stage-container">
-              <Stage
-                ref={stageRef}
-                width={stageSize.width}
-                height={stageSize.height}
-                onMouseDown={onStageMouseDown}
-                onMouseMove={onStageMouseMove}
-                onMouseUp={onStageMouseUp}
-                onWheel={onWheel}
-                onContextMenu={onContextMenu}
-                className="touch-action-manipulation"
-              >
-                <Layer>
-                  <Group x={pan.x} y={pan.y} scaleX={zoom} scaleY={zoom}>
-                    {imageObj && <KonvaImage image={imageObj} x={0} y={0} />}
-                    {/* Points */}
-                    {points.map((pt, i) => (
-                      <Circle key={i} x={pt[0]} y={pt[1]} radius={5 / zoom} fill="red" />
-                    ))}
-                    {/* Polygons */}
-                    {polygons.map((poly) => {
-                      const isSelected = poly.id === selectedPolygonId;
-                      const flatPoints = poly.points.flat();
-                      const [cx, cy] = centroid(poly.points);
-                      return (
-                        <Group key={poly.id}>
-                          <Line
-                            points={flatPoints}
-                            closed
-                            fill="rgba(0,255,0,0.2)"
-                            stroke={isSelected ? "blue" : "green"}
+            <LabelBar labels={labels} active={activeLabel} onSelect={setActiveLabel} onManage={() => setShowLabelManager(true)} />
+            <ImageStrip
+              images={images}
+              activeId={activeImageId}
+              statusOf={imageStatus}
+              onSelect={(id) => openImage(id)}
+              onPrev={() => stepImage(-1)}
+              onNext={() => stepImage(1)}
+              onToggleDone={toggleDone}
+            />
+            <div className="flex-1 flex min-h-0">
+              <div ref={containerRef} className="flex-1 relative bg-white overflow-hidden stage-container touch-none">
+                <Stage
+                  ref={stageRef}
+                  width={stageSize.width}
+                  height={stageSize.height}
+                  onPointerDown={onStagePointerDown}
+                  onPointerMove={onStagePointerMove}
+                  onPointerUp={onStagePointerUp}
+                  onPointerCancel={onStagePointerUp}
+                  onWheel={onWheel}
+                  onContextMenu={onContextMenu}
+                >
+                  <ImageLayer image={imageObj} zoom={zoom} pan={pan} adjust={adjust} />
+                  <AnnotationLayer
+                    polygons={polygons}
+                    labels={labels}
+                    zoom={zoom}
+                    pan={pan}
+                    width={stageSize.width}
+                    height={stageSize.height}
+                    skipId={selectedPolygon && !selectedPolygon.hidden ? selectedPolygon.id : null}
+                    dashedIds={extraSelectedIds}
+                    fillOpacity={overlay.fillOpacity}
+                    strokeWidth={overlay.strokeWidth}
+                  />
+                  {reference && showCompare && (
+                    <ReferenceLayer
+                      polygons={reference.polygons}
+                      highlightIndex={compareRows[compareRow]?.reference}
+                      zoom={zoom}
+                      pan={pan}
+                      strokeWidth={overlay.strokeWidth}
+                    />
+                  )}
+                  {suggestions.length > 0 && (
+                    <SuggestionLayer suggestions={suggestions} labels={labels} highlightId={hoverSuggestionId} zoom={zoom} pan={pan} />
+                  )}
+                  {/* Interactive layer: prompts, the selected polygon and previews */}
+                  <Layer>
+                    <Group x={pan.x} y={pan.y} scaleX={zoom} scaleY={zoom}>
+                      {/* Box prompt */}
+                      {(boxDraft || box) && (() => {
+                        const [x1, y1, x2, y2] = boxDraft || box;
+                        return (
+                          <Rect
+                            x={Math.min(x1, x2)}
+                            y={Math.min(y1, y2)}
+                            width={Math.abs(x2 - x1)}
+                            height={Math.abs(y2 - y1)}
+                            stroke="orange"
                             strokeWidth={2 / zoom}
+                            dash={[6 / zoom, 4 / zoom]}
                           />
-                          {isSelected &&
-                            poly.points.map((pt, idx) => (
-                              <Circle
-                                key={idx}
-                                x={pt[0]}
-                                y={pt[1]}
-                                radius={5 / zoom}
-                                fill="blue"
-                                draggable
-                                onDragStart={() => setDragIdx(idx)}
-                                onDragMove={(e) => {
-                                  const newPoints = [...poly.points];
-                                  newPoints[idx] = [e.target.x(), e.target.y()];
-                                  setPolygons((prev) =>
-                                    prev.map((p) => (p.id === poly.id ? { ...p, points: newPoints } : p))
-                                  );
-                                }}
-                                onDragEnd={saveState}
-                              />
-                            ))}
-                          <Text
-                            x={cx}
-                            y={cy}
-                            text={poly.label || "Obj"}
-                            fontSize={16 / zoom}
-                            fill="black"
+                        );
+                      })()}
+                      {/* Points */}
+                      {points.map((pt, i) => (
+                        <Circle key={i} x={pt[0]} y={pt[1]} radius={5 / zoom} fill={pt[2] ? "red" : "blue"} />
+                      ))}
+                      {/* Selected polygon */}
+                      {selectedPolygon && !selectedPolygon.hidden && (
+                        <EditableShape
+                          key={selectedPolygon.id}
+                          polygon={selectedPolygon}
+                          color={labelColor(labels, selectedPolygon.label)}
+                          zoom={zoom}
+                          touch={touchUI}
+                          fillOpacity={overlay.fillOpacity}
+                          strokeWidth={overlay.strokeWidth}
+                          editable={mode === "edit" && !selectedPolygon.locked}
+                          selectedVertex={selectedVertex}
+                          onSelectVertex={setSelectedVertex}
+                          onDeleteVertex={(v) => deleteVertex(selectedPolygon.id, v)}
+                          onCommit={(title, before, after, mergeKey) => perform(title, [updatePolygon(selectedPolygon.id, before, after)], mergeKey)}
+                        />
+                      )}
+                      {/* Polygon being drawn */}
+                      {drawPoints.length > 0 && (
+                        <>
+                          <Line
+                            points={[...drawPoints.flat(), ...(cursorPos || [])]}
+                            stroke={labelColor(labels, activeLabel)}
+                            strokeWidth={2 / zoom}
+                            dash={[6 / zoom, 4 / zoom]}
+                            listening={false}
                           />
-                        </Group>
-                      );
-                    })}
-                  </Group>
-                </Layer>
-              </Stage>
-
-              {ctxMenu.visible && selectedPolygonId && (
-                <div
-                  className="absolute bg-gray-900 text-white text-sm rounded shadow-lg"
-                  style={{ left: ctxMenu.x, top: ctxMenu.y }}
-                >
-                  <button className="block px-3 py-2 hover:bg-gray-800 w-full text-left" onClick={relabelSelected}>
-                    Change label
-                  </button>
-                  <button className="block px-3 py-2 hover:bg-gray-800 w-full text-left" onClick={deleteSelected}>
-                    Delete polygon
-                  </button>
+                          {drawPoints.map((pt, i) => (
+                            <Circle key={i} x={pt[0]} y={pt[1]} radius={(i === 0 ? 6 : 4) / zoom} fill={i === 0 ? "white" : labelColor(labels, activeLabel)} stroke="black" strokeWidth={1 / zoom} listening={false} />
+                          ))}
+                        </>
+                      )}
+                      {/* Split line */}
+                      {splitPoints?.length > 0 && cursorPos && (
+                        <Line
+                          points={[...splitPoints[0], ...cursorPos]}
+                          stroke="red"
+                          strokeWidth={2 / zoom}
+                          dash={[6 / zoom, 4 / zoom]}
+                          listening={false}
+                        />
+                      )}
+                      {/* Multi-mask candidate preview */}
+                      {candidates && (
+                        <ShapePath
+                          key={`cand_${candidateIdx}`}
+                          rings={[...candidates[candidateIdx].polygons, ...(candidates[candidateIdx].holes || []).flat()]}
+                          fill="rgba(255,165,0,0.35)"
+                          stroke="orange"
+                          strokeWidth={2 / zoom}
+                          listening={false}
+                        />
+                      )}
+                    </Group>
+                  </Layer>
+                </Stage>
+
+                {showFps && <FpsMeter />}
+                {showHistory && <HistoryPanel history={history} onJump={jumpTo} onClose={() => setShowHistory(false)} />}
+                {showDisplay && (
+                  <DisplayPanel
+                    adjust={adjust}
+                    onAdjust={(patch) => setAdjust((prev) => ({ ...prev, ...patch }))}
+                    overlay={overlay}
+                    onOverlay={(patch) => setOverlay((prev) => ({ ...prev, ...patch }))}
+                    onReset={() => { setAdjust(DEFAULT_ADJUST); setOverlay(DEFAULT_OVERLAY); }}
+                    onClose={() => setShowDisplay(false)}
+                  />
+                )}
+
+                {candidates && (
+                  <div className="absolute top-2 right-2 bg-white text-sm rounded shadow-lg p-2 w-48">
+                    <div className="font-semibold mb-1">Pick a mask</div>
+                    {candidates.map((c, i) => (
+                      <button
+                        key={i}
+                        className={`block w-full text-left px-2 py-1 rounded ${i === candidateIdx ? "bg-orange-200" : "hover:bg-gray-100"}`}
+                        onClick={() => setCandidateIdx(i)}
+                      >
+                        Mask {i + 1} — score {c.score.toFixed(3)}
+                      </button>
+                    ))}
+                    <div className="flex gap-2 mt-2">
+                      <button className="flex-1 px-2 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-700" onClick={confirmCandidate}>
+                        Confirm
+                      </button>
+                      <button className="flex-1 px-2 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={cancelCandidates}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {ctxMenu.visible && selectedPolygonId && (
+                  <div
+                    className="absolute bg-gray-900 text-white text-sm rounded shadow-lg"
+                    style={{ left: ctxMenu.x, top: ctxMenu.y }}
+                  >
+                    <div className="px-3 pt-2 pb-1 text-xs text-gray-400">Change label</div>
+                    {labels.map((l) => (
+                      <button key={l.name} className="flex items-center gap-2 px-3 py-1 hover:bg-gray-800 w-full text-left" onClick={() => relabelSelected(l.name)}>
+                        <span className="w-3 h-3 rounded-sm" style={{ background: l.color }} />
+                        {l.name}
+                      </button>
+                    ))}
+                    {mode === "edit" && (
+                      <>
+                        <div className="px-3 pt-2 pb-1 text-xs text-gray-400 border-t border-gray-700">Shape</div>
+                        {Object.entries(BOOLEANS).map(([kind, { title }]) => (
+                          <button key={kind} className="block px-3 py-1 hover:bg-gray-800 w-full text-left disabled:text-gray-500" disabled={!extraSelectedIds.length} onClick={() => combineSelected(kind)}>
+                            {title} {extraSelectedIds.length ? `(${extraSelectedIds.length + 1} polygons)` : ""}
+                          </button>
+                        ))}
+                        <button className="block px-3 py-1 hover:bg-gray-800 w-full text-left" onClick={startSplit}>
+                          Split along a line
+                        </button>
+                        {selectedVertex != null && (
+                          <button className="block px-3 py-1 hover:bg-gray-800 w-full text-left" onClick={() => deleteVertex(selectedPolygonId, selectedVertex)}>
+                            Delete vertex
+                          </button>
+                        )}
+                      </>
+                    )}
+                    <button className="block px-3 py-2 hover:bg-gray-800 w-full text-left" onClick={deleteSelected}>
+                      Delete polygon
+                    </button>
+                  </div>
+                )}
+              </div>
+              {(showObjects || showAuto || showQA || showReview || showCompare) && (
+                <div className="w-64 bg-white border-l text-sm flex flex-col min-h-0">
+                  {showCompare && (
+                    <ComparePanel
+                      reference={reference}
+                      rows={compareRows}
+                      summary={compareSummary(compareRows)}
+                      current={polygons}
+                      activeRow={compareRow}
+                      minIoU={compareIoU}
+                      onMinIoU={setCompareIoU}
+                      onLoad={loadReference}
+                      onSelectRow={zoomToRow}
+                      onExport={exportComparison}
+                      onClear={() => setReference(null)}
+                      onClose={() => setShowCompare(false)}
+                    />
+                  )}
+                  {showQA && (
+                    <ValidationPanel
+                      issues={issues}
+                      polygons={polygons}
+                      otherImages={images
+                        .filter((im) => im.id !== activeImageId)
+                        .map((im) => ({ id: im.id, name: im.file.name, count: openIssues(validateImage(im)).length }))
+                        .filter((im) => im.count)}
+                      selectedId={selectedPolygonId}
+                      blockExport={blockExport}
+                      onBlockExport={setBlockExport}
+                      onSelect={focusPolygon}
+                      onWaive={waiveIssue}
+                      onOpenImage={openImage}
+                      onClose={() => setShowQA(false)}
+                    />
+                  )}
+                  {showReview && (
+                    <ReviewPanel
+                      polygons={polygons}
+                      selected={selectedPolygon}
+                      onSelect={focusPolygon}
+                      onReview={setReviewStatus}
+                      onComment={commentPolygon}
+                      onNext={() => nextToReview()}
+                      onClose={() => setShowReview(false)}
+                    />
+                  )}
+                  {showAuto && (
+                    <AutoAnnotatePanel
+                      settings={autoSettings}
+                      onSettings={(patch) => setAutoSettings((prev) => ({ ...prev, ...patch }))}
+                      progress={autoProgress}
+                      suggestions={suggestions}
+                      labels={labels}
+                      activeLabel={activeLabel}
+                      onRun={segmentEverything}
+                      onCancel={cancelAuto}
+                      onCheck={checkSuggestion}
+                      onHover={setHoverSuggestionId}
+                      onRelabel={relabelSuggestions}
+                      onAccept={acceptSuggestions}
+                      onReject={rejectSuggestions}
+                      onClose={() => setShowAuto(false)}
+                    />
+                  )}
+                  {showObjects && (
+                    <>
+                      <ObjectList
+                        polygons={polygons}
+                        labels={labels}
+                        selectedId={selectedPolygonId}
+                        onSelect={focusPolygon}
+                        onToggle={togglePolygonFlag}
+                        onMove={reorderPolygon}
+                        onClose={() => setShowObjects(false)}
+                      />
+                      {selectedPolygon && (
+                        <PropertiesPanel
+                          polygon={selectedPolygon}
+                          schema={findLabel(labels, selectedPolygon.label)?.attributes || []}
+                          onChange={(name, value) => setAttribute(selectedPolygon.id, name, value)}
+                          onManage={() => setShowLabelManager(true)}
+                        />
+                      )}
+                    </>
+                  )}
                 </div>
               )}
             </div>
@@ -589,6 +2058,45 @@ export default function App() {
         )}
       </main>
 
+      {showLabelManager && (
+        <LabelManager
+          labels={labels}
+          onChange={setLabels}
+          onRename={renameLabel}
+          onImport={importLabels}
+          onExport={exportLabels}
+          onClose={() => setShowLabelManager(false)}
+        />
+      )}
+
+      {paletteOpen && (
+        <CommandPalette
+          actions={actions}
+          overrides={bindingOverrides}
+          onRun={runFromPalette}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
+      {shortcutsOpen && (
+        <ShortcutSettings
+          actions={actions}
+          overrides={bindingOverrides}
+          onChange={setBindingOverrides}
+          onClose={() => setShortcutsOpen(false)}
+        />
+      )}
+
+      {drafts && (
+        <DraftManager
+          drafts={drafts}
+          onOpen={openDraft}
+          onDelete={removeDraft}
+          onPurge={purgeDrafts}
+          onClose={() => setDrafts(null)}
+        />
+      )}
+
       <footer className="p-4 text-center text-sm text-gray-500 bg-white border-t">
         
       </footer>
@@ -0,0 +1,57 @@
+import React from "react";
+import { Layer, Group, Text } from "react-konva";
+import ShapePath from "./ShapePath";
+import { allRings, centroid, shapeBbox } from "../utils/geometry";
+import { labelColor, hexToRgba } from "../utils/labels";
+
+// Polygons are never mutated, so their bounding boxes can be cached per object
+const bboxes = new WeakMap();
+const bboxOf = (p) => {
+  if (!bboxes.has(p)) bboxes.set(p, shapeBbox(p));
+  return bboxes.get(p);
+};
+
+// Labels are left out for objects smaller than this on screen
+const MIN_LABEL_PX = 24;
+
+// Every polygon that is not being edited, on a layer that does not listen to events (selection is
+// hit-tested in App). Only objects inside the viewport are drawn. The layer re-renders when the
+// polygons, the labels or the viewport change, not while the selected shape is dragged.
+// Fill opacity and stroke width (in screen pixels) come from the display settings.
+function AnnotationLayer({ polygons, labels, zoom, pan, width, height, skipId, dashedIds, fillOpacity, strokeWidth }) {
+  // viewport in image coordinates
+  const x0 = -pan.x / zoom, y0 = -pan.y / zoom;
+  const x1 = x0 + width / zoom, y1 = y0 + height / zoom;
+
+  return (
+    <Layer listening={false}>
+      <Group x={pan.x} y={pan.y} scaleX={zoom} scaleY={zoom}>
+        {polygons.map((poly) => {
+          if (poly.hidden || poly.id === skipId) return null;
+          const [bx, by, bw, bh] = bboxOf(poly);
+          if (bx > x1 || by > y1 || bx + bw < x0 || by + bh < y0) return null;
+          const color = labelColor(labels, poly.label);
+          const dashed = dashedIds.includes(poly.id);
+          const [cx, cy] = centroid(poly.points);
+          return (
+            <React.Fragment key={poly.id}>
+              <ShapePath
+                rings={allRings(poly)}
+                fill={fillOpacity ? hexToRgba(color, fillOpacity) : undefined}
+                stroke={dashed ? "blue" : color}
+                strokeWidth={strokeWidth / zoom}
+                dash={dashed ? [6 / zoom, 4 / zoom] : undefined}
+                perfectDrawEnabled={false}
+              />
+              {Math.max(bw, bh) * zoom >= MIN_LABEL_PX && (
+                <Text x={cx} y={cy} text={poly.label || "Obj"} fontSize={16 / zoom} fill="black" perfectDrawEnabled={false} />
+              )}
+            </React.Fragment>
+          );
+        })}
+      </Group>
+    </Layer>
+  );
+}
+
+export default React.memo(AnnotationLayer);
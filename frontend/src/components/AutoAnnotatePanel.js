@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { shapeArea } from "../utils/geometry";
+
+// "Segment everything": settings and progress of the pass, then the suggestions it found. Suggestions
+// are not annotations yet; the ticked ones can be given a class, accepted or rejected in bulk.
+export default function AutoAnnotatePanel({
+  settings, onSettings, progress, suggestions, labels, activeLabel,
+  onRun, onCancel, onCheck, onHover, onRelabel, onAccept, onReject, onClose,
+}) {
+  const [label, setLabel] = useState(activeLabel);
+  const checked = suggestions.filter((s) => s.checked);
+  const target = labels.some((l) => l.name === label) ? label : labels[0]?.name; // the class may have been removed
+  const number = (field) => (e) => e.target.value !== "" && onSettings({ [field]: Number(e.target.value) });
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 border-b">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">Auto-annotate</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <div className="grid grid-cols-3 gap-1 p-2 border-b text-xs text-gray-600">
+        <label title="Prompts per row and column">
+          Grid
+          <input type="number" className="w-full border rounded px-1" min={2} max={64} value={settings.grid} onChange={number("grid")} disabled={!!progress} />
+        </label>
+        <label title="Results scoring lower are dropped">
+          Score ≥
+          <input type="number" className="w-full border rounded px-1" min={0} max={1} step={0.01} value={settings.minScore} onChange={number("minScore")} disabled={!!progress} />
+        </label>
+        <label title="Results overlapping a better one (or an existing object) this much are duplicates">
+          IoU &lt;
+          <input type="number" className="w-full border rounded px-1" min={0} max={1} step={0.05} value={settings.maxIoU} onChange={number("maxIoU")} disabled={!!progress} />
+        </label>
+      </div>
+      <div className="p-2 border-b">
+        {progress ? (
+          <div className="flex items-center gap-2">
+            <div className="flex-1 h-2 bg-gray-200 rounded overflow-hidden">
+              <div className="h-full bg-emerald-500" style={{ width: `${(100 * progress.done) / progress.total}%` }} />
+            </div>
+            <span className="text-xs text-gray-500">{progress.done}/{progress.total}</span>
+            <button className="px-2 rounded bg-gray-200 hover:bg-gray-300" onClick={onCancel}>Cancel</button>
+          </div>
+        ) : (
+          <button className="w-full px-2 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-700" onClick={onRun}>
+            Segment everything ({settings.grid * settings.grid} prompts)
+          </button>
+        )}
+      </div>
+      <label className="flex items-center gap-2 px-2 py-1 border-b">
+        <input
+          type="checkbox"
+          checked={suggestions.length > 0 && checked.length === suggestions.length}
+          onChange={(e) => onCheck(null, e.target.checked)}
+        />
+        <span className="flex-1">{suggestions.length} suggestions</span>
+        {checked.length > 0 && <span className="text-xs text-gray-500">{checked.length} ticked</span>}
+      </label>
+      <div className="overflow-y-auto flex-1">
+        {suggestions.map((s, i) => (
+          <label
+            key={s.id}
+            className="flex items-center gap-2 px-2 py-1 border-b cursor-pointer hover:bg-gray-100"
+            onMouseEnter={() => onHover(s.id)}
+            onMouseLeave={() => onHover(null)}
+          >
+            <input type="checkbox" checked={s.checked} onChange={(e) => onCheck(s.id, e.target.checked)} />
+            <span className="text-xs text-gray-400 w-7 text-right">{i + 1}</span>
+            <div className="flex-1 min-w-0">
+              <div className="truncate">{s.label || <span className="text-gray-400">unlabeled</span>}</div>
+              <div className="text-xs text-gray-500">score {s.score.toFixed(2)} · {Math.round(shapeArea(s))} px²</div>
+            </div>
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1 p-2">
+        <select className="flex-1 min-w-0 border rounded px-1" value={target} onChange={(e) => setLabel(e.target.value)}>
+          {labels.map((l) => (
+            <option key={l.name} value={l.name}>{l.name}</option>
+          ))}
+        </select>
+        <button className="px-2 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" disabled={!checked.length} onClick={() => onRelabel(target)}>
+          Set class
+        </button>
+        <button className="px-2 rounded bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50" disabled={!checked.length} onClick={onAccept}>
+          Accept
+        </button>
+        <button className="px-2 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" disabled={!checked.length} onClick={onReject}>
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useEffect, useRef, useState } from "react";
+import { keysFor } from "../utils/shortcuts";
+
+// Ctrl+K palette: fuzzy-ish search over every registered action
+export default function CommandPalette({ actions, overrides, onRun, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => inputRef.current?.focus(), []);
+
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = actions.filter((a) => {
+    if (a.hidden || (a.when && !a.when())) return false;
+    const text = `${a.group} ${a.title}`.toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive((i) => Math.min(i + 1, matches.length - 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive((i) => Math.max(i - 1, 0)); }
+    else if (e.key === "Enter" && matches[active]) { e.preventDefault(); onRun(matches[active]); }
+    else if (e.key === "Escape") onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-start justify-center pt-24 z-30" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-[28rem] text-sm overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        <input
+          ref={inputRef}
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+          onKeyDown={onKeyDown}
+          placeholder="Type a command…"
+          className="w-full px-4 py-3 border-b outline-none"
+        />
+        <div className="max-h-80 overflow-y-auto">
+          {matches.map((a, i) => (
+            <button
+              key={a.id}
+              className={`flex items-center w-full text-left px-4 py-2 ${i === active ? "bg-cyan-100" : "hover:bg-gray-100"}`}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => onRun(a)}
+            >
+              <span className="text-gray-400 w-24">{a.group}</span>
+              <span className="flex-1">{a.title}</span>
+              <span className="text-xs text-gray-500">{keysFor(a, overrides).join(", ")}</span>
+            </button>
+          ))}
+          {!matches.length && <div className="px-4 py-3 text-gray-500">No matching commands</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from "react";
+
+const STATUS_NAMES = { match: "Match", missed: "Missed", extra: "Extra" };
+
+// Agreement between the open image's polygons and a second annotator's file: a summary and one row
+// per matched pair or unmatched object. Clicking a row zooms to the object.
+export default function ComparePanel({
+  reference, rows, summary, current, activeRow, minIoU,
+  onMinIoU, onLoad, onSelectRow, onExport, onClear, onClose,
+}) {
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  return (
+    <div className="flex-1 flex flex-col min-h-0 border-b">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">Compare</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <div className="flex items-center gap-1 p-2 border-b">
+        <label className="flex-1 px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 cursor-pointer truncate text-center" title="JSON or COCO file of the same image">
+          {reference ? reference.name : "Load second annotator…"}
+          <input type="file" accept=".json" className="hidden" onChange={onLoad} />
+        </label>
+        {reference && (
+          <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={onClear} title="Stop comparing">
+            ✕
+          </button>
+        )}
+      </div>
+      {reference && (
+        <>
+          <div className="p-2 border-b text-xs text-gray-600 flex flex-col gap-1">
+            <label className="flex items-center gap-2">
+              Match at IoU ≥
+              <input type="number" className="w-16 border rounded px-1" min={0.05} max={1} step={0.05} value={minIoU} onChange={(e) => e.target.value !== "" && onMinIoU(Number(e.target.value))} />
+            </label>
+            <div>
+              {summary.matched} matched · {summary.missed} missed · {summary.extra} extra
+            </div>
+            <div>
+              Mean IoU {summary.matched ? summary.meanIoU.toFixed(3) : "–"} · labels agree {summary.matched ? pct(summary.labelAgreement) : "–"}
+            </div>
+          </div>
+          <div className="overflow-y-auto flex-1">
+            <table className="w-full text-xs">
+              <thead className="text-gray-500 sticky top-0 bg-white">
+                <tr>
+                  <th className="text-left px-2 py-1">Current</th>
+                  <th className="text-left px-1 py-1">Reference</th>
+                  <th className="text-right px-2 py-1">IoU</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r, k) => (
+                  <tr
+                    key={`${r.status}_${r.current}_${r.reference}`}
+                    onClick={() => onSelectRow(k)}
+                    className={`cursor-pointer border-t ${k === activeRow ? "bg-cyan-100" : "hover:bg-gray-100"} ${r.status === "match" && !r.labelMatch ? "text-amber-700" : ""}`}
+                  >
+                    <td className="px-2 py-1 truncate max-w-0 w-2/5">{r.current != null ? `${r.current + 1}. ${current[r.current]?.label || "Obj"}` : "–"}</td>
+                    <td className="px-1 py-1 truncate max-w-0 w-2/5">{r.reference != null ? `${r.reference + 1}. ${reference.polygons[r.reference].label || "Obj"}` : "–"}</td>
+                    <td className="px-2 py-1 text-right">{r.status === "match" ? r.iou.toFixed(2) : STATUS_NAMES[r.status]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="p-2">
+            <button className="w-full px-2 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={onExport}>Export CSV</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+import { CHANNELS } from "../utils/display";
+
+const CHANNEL_NAMES = { rgb: "Color", r: "Red", g: "Green", b: "Blue" };
+
+function Slider({ label, value, min, max, step = 1, format = (v) => v, onChange }) {
+  return (
+    <label className="flex flex-col gap-0.5">
+      <span className="flex justify-between text-xs text-gray-500">
+        {label}
+        <span>{format(value)}</span>
+      </span>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+    </label>
+  );
+}
+
+// Display controls for the view: image adjustments and how annotations are drawn. Nothing here
+// changes the image sent to the backend or the exported coordinates.
+export default function DisplayPanel({ adjust, onAdjust, overlay, onOverlay, onReset, onClose }) {
+  return (
+    <div className="absolute bottom-2 right-2 bg-white text-sm rounded shadow-lg w-60 flex flex-col z-10">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">Display</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <div className="p-2 flex flex-col gap-2">
+        <Slider label="Brightness" value={adjust.brightness} min={-100} max={100} onChange={(brightness) => onAdjust({ brightness })} />
+        <Slider label="Contrast" value={adjust.contrast} min={-100} max={100} onChange={(contrast) => onAdjust({ contrast })} />
+        <Slider label="Gamma" value={adjust.gamma} min={0.2} max={5} step={0.1} format={(v) => v.toFixed(1)} onChange={(gamma) => onAdjust({ gamma })} />
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={adjust.equalize} onChange={(e) => onAdjust({ equalize: e.target.checked })} />
+          Equalize histogram
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={adjust.invert} onChange={(e) => onAdjust({ invert: e.target.checked })} />
+          Invert
+        </label>
+        <label className="flex items-center gap-2">
+          Channel
+          <select className="flex-1 border rounded px-1" value={adjust.channel} onChange={(e) => onAdjust({ channel: e.target.value })}>
+            {CHANNELS.map((c) => (
+              <option key={c} value={c}>{CHANNEL_NAMES[c]}</option>
+            ))}
+          </select>
+        </label>
+        <div className="border-t pt-2 text-xs text-gray-400">Annotations</div>
+        <Slider label="Fill opacity" value={overlay.fillOpacity} min={0} max={1} step={0.05} format={(v) => `${Math.round(v * 100)}%`} onChange={(fillOpacity) => onOverlay({ fillOpacity })} />
+        <Slider label="Stroke width" value={overlay.strokeWidth} min={0.5} max={8} step={0.5} format={(v) => `${v} px`} onChange={(strokeWidth) => onOverlay({ strokeWidth })} />
+        <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={onReset}>Reset</button>
+      </div>
+    </div>
+  );
+}
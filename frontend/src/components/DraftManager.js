@@ -0,0 +1,37 @@
+import React from "react";
+
+// Lists autosaved drafts stored in the browser; drafts can be reopened or purged
+export default function DraftManager({ drafts, onOpen, onDelete, onPurge, onClose }) {
+  const sorted = [...drafts].sort((a, b) => b.updatedAt - a.updatedAt);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-20" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl p-4 w-[32rem] text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold text-base">Saved drafts</h3>
+          <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+        </div>
+        {!sorted.length && <div className="text-gray-500">No drafts stored in this browser.</div>}
+        <div className="max-h-80 overflow-y-auto">
+          {sorted.map((d) => (
+            <div key={d.key} className="flex items-center gap-2 py-1 border-b last:border-b-0">
+              <div className="flex-1 min-w-0">
+                <div className="truncate">{d.fileName}</div>
+                <div className="text-xs text-gray-500">
+                  {d.polygons.length} polygons{d.done ? " · done" : ""} · {new Date(d.updatedAt).toLocaleString()}
+                </div>
+              </div>
+              <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={() => onOpen(d.key)}>Open</button>
+              <button className="px-2 py-1 rounded text-red-600 hover:bg-red-50" onClick={() => onDelete(d.key)}>Delete</button>
+            </div>
+          ))}
+        </div>
+        {sorted.length > 0 && (
+          <button className="mt-4 w-full px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700" onClick={onPurge}>
+            Purge all drafts
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { Circle, Text } from "react-konva";
+import ShapePath from "./ShapePath";
+import { hexToRgba } from "../utils/labels";
+import { allRings, centroid, getRing, ringField, ringUpdate, translateShape } from "../utils/geometry";
+
+// The selected polygon with its vertex handles. A vertex drag is kept in local state so only this
+// component re-renders while dragging; the edit is committed once on drop.
+// onCommit(title, before, after, mergeKey?) receives the changed fields of the polygon.
+// `touch` makes the handles big enough for a finger; fillOpacity and strokeWidth follow the display settings.
+export default function EditableShape({ polygon, color, zoom, touch, fillOpacity, strokeWidth, editable, selectedVertex, onSelectVertex, onDeleteVertex, onCommit }) {
+  const [draft, setDraft] = useState(null); // ring field being dragged, e.g. {points}
+  const [moving, setMoving] = useState(false);
+  const shape = draft ? { ...polygon, ...draft } : polygon;
+  const [cx, cy] = centroid(shape.points);
+
+  const movedRing = (r, idx, e) => {
+    const ring = [...getRing(shape, r)];
+    ring[idx] = [e.target.x(), e.target.y()];
+    return ring;
+  };
+
+  // Dragging the whole shape moves the node; the offset is baked into its rings on drop
+  const onShapeDragEnd = (e) => {
+    const dx = e.target.x(), dy = e.target.y();
+    e.target.position({ x: 0, y: 0 });
+    setMoving(false);
+    if (!dx && !dy) return;
+    onCommit(`Move ${polygon.label}`, { points: polygon.points, rings: polygon.rings }, translateShape(polygon, dx, dy));
+  };
+
+  return (
+    <>
+      <ShapePath
+        rings={allRings(shape)}
+        fill={hexToRgba(color, fillOpacity)} // still hit-tested (and draggable) when fully transparent
+        stroke="blue"
+        strokeWidth={strokeWidth / zoom}
+        draggable={editable}
+        onDragStart={() => setMoving(true)}
+        onDragEnd={onShapeDragEnd}
+      />
+      {editable && !moving &&
+        allRings(shape).map((ring, r) => ring.map((pt, idx) => (
+          <Circle
+            key={`${r}_${idx}`}
+            name="vertex"
+            x={pt[0]}
+            y={pt[1]}
+            radius={(touch ? 10 : 5) / zoom}
+            fill={selectedVertex?.ring === r && selectedVertex?.idx === idx ? "orange" : "blue"}
+            draggable
+            onPointerDown={() => onSelectVertex({ ring: r, idx })}
+            onDragMove={(e) => setDraft(ringUpdate(shape, r, movedRing(r, idx, e)))}
+            onDragEnd={(e) => {
+              const ring = movedRing(r, idx, e);
+              setDraft(null);
+              onCommit("Move vertex", ringField(polygon, r), ringUpdate(polygon, r, ring), `vertex_${polygon.id}_${r}_${idx}`);
+            }}
+            onContextMenu={(e) => {
+              e.evt.preventDefault();
+              e.cancelBubble = true;
+              if (touch) return; // a long-press while dragging is not a delete; the context menu has one
+              onDeleteVertex({ ring: r, idx });
+            }}
+          />
+        )))}
+      <Text x={cx} y={cy} text={polygon.label || "Obj"} fontSize={16 / zoom} fill="black" listening={false} />
+    </>
+  );
+}
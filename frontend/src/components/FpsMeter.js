@@ -0,0 +1,29 @@
+import React, { useEffect, useState } from "react";
+
+// Frames per second of the page, measured with requestAnimationFrame over half-second windows
+export default function FpsMeter() {
+  const [fps, setFps] = useState(null);
+
+  useEffect(() => {
+    let frames = 0;
+    let start = performance.now();
+    let id;
+    const tick = (now) => {
+      frames++;
+      if (now - start >= 500) {
+        setFps(Math.round((frames * 1000) / (now - start)));
+        frames = 0;
+        start = now;
+      }
+      id = requestAnimationFrame(tick);
+    };
+    id = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(id);
+  }, []);
+
+  return (
+    <div className="absolute bottom-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs font-mono pointer-events-none">
+      {fps ?? "–"} fps
+    </div>
+  );
+}
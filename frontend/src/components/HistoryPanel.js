@@ -0,0 +1,27 @@
+import React from "react";
+
+// Operation list; clicking a row undoes/redoes to just after that operation
+export default function HistoryPanel({ history, onJump, onClose }) {
+  const rows = [{ title: "Start", time: null }, ...history.entries];
+
+  return (
+    <div className="absolute top-2 left-2 bg-white text-sm rounded shadow-lg w-56 max-h-[70%] flex flex-col z-10">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">History</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <div className="overflow-y-auto">
+        {rows.map((entry, i) => (
+          <button
+            key={i}
+            className={`flex w-full text-left px-2 py-1 ${i === history.index ? "bg-cyan-100" : "hover:bg-gray-100"} ${i > history.index ? "text-gray-400" : ""}`}
+            onClick={() => onJump(i)}
+          >
+            <span className="flex-1 truncate">{entry.title}</span>
+            {entry.time && <span className="text-xs text-gray-400">{new Date(entry.time).toLocaleTimeString()}</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
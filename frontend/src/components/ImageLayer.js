@@ -0,0 +1,23 @@
+import React, { useMemo } from "react";
+import { Layer, Image as KonvaImage } from "react-konva";
+import { buildPyramid, pickLevel } from "../utils/pyramid";
+import { adjustImage, isIdentity, luminanceHistogram } from "../utils/display";
+
+// The image on its own layer, drawn from the pyramid level that matches the zoom. Display
+// adjustments are applied to a copy of that level only.
+function ImageLayer({ image, zoom, pan, adjust }) {
+  const levels = useMemo(() => (image ? buildPyramid(image) : []), [image]);
+  // equalization uses the histogram of the smallest level, close enough and cheap
+  const histogram = useMemo(() => (adjust.equalize && levels.length ? luminanceHistogram(levels[levels.length - 1].image) : null), [levels, adjust.equalize]);
+  const level = image ? pickLevel(levels, zoom) : null;
+  const shown = useMemo(() => (level && !isIdentity(adjust) ? adjustImage(level.image, adjust, histogram) : level?.image), [level, adjust, histogram]);
+
+  if (!image) return <Layer listening={false} />;
+  return (
+    <Layer listening={false}>
+      <KonvaImage image={shown} x={pan.x} y={pan.y} width={image.width * zoom} height={image.height * zoom} />
+    </Layer>
+  );
+}
+
+export default React.memo(ImageLayer);
@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const STATUS_STYLE = {
+  done: { dot: "bg-emerald-500", text: "Done" },
+  "in progress": { dot: "bg-amber-400", text: "In progress" },
+  untouched: { dot: "bg-gray-300", text: "Untouched" },
+};
+
+const THUMB_SIZE = 160; // longest side in pixels, enough for the 64 x 48 tiles on high-DPI screens
+
+// Downscaled JPEG object URL of an image, so the strip does not keep every full image decoded
+async function makeThumbnail(url) {
+  const img = new Image();
+  img.src = url;
+  await img.decode();
+  const scale = Math.min(1, THUMB_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
+  if (!blob) throw new Error("Could not encode the thumbnail");
+  return URL.createObjectURL(blob);
+}
+
+// image id -> thumbnail URL. Thumbnails are made one at a time, once per image, and revoked when
+// their image leaves the project or the strip unmounts.
+function useThumbnails(images) {
+  const [thumbs, setThumbs] = useState({});
+  const made = useRef(new Map()); // image id -> URL, null while it is being made or when it failed
+
+  useEffect(() => {
+    const ids = new Set(images.map((im) => im.id));
+    const removed = [...made.current.keys()].filter((id) => !ids.has(id));
+    if (removed.length) {
+      removed.forEach((id) => {
+        if (made.current.get(id)) URL.revokeObjectURL(made.current.get(id));
+        made.current.delete(id);
+      });
+      setThumbs((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => ids.has(id))));
+    }
+
+    (async () => {
+      for (const im of images) {
+        if (made.current.has(im.id)) continue;
+        made.current.set(im.id, null);
+        let url;
+        try {
+          url = await makeThumbnail(im.url);
+        } catch {
+          continue; // the tile stays blank
+        }
+        // the image may have been removed meanwhile
+        if (!made.current.has(im.id)) {
+          URL.revokeObjectURL(url);
+          continue;
+        }
+        made.current.set(im.id, url);
+        setThumbs((prev) => ({ ...prev, [im.id]: url }));
+      }
+    })();
+  }, [images]);
+
+  useEffect(
+    () => () => {
+      made.current.forEach((url) => url && URL.revokeObjectURL(url));
+      made.current.clear();
+    },
+    []
+  );
+
+  return thumbs;
+}
+
+// Thumbnail strip for the project images with prev/next navigation
+export default function ImageStrip({ images, activeId, statusOf, onSelect, onPrev, onNext, onToggleDone }) {
+  const thumbs = useThumbnails(images);
+  if (!images.length) return null;
+  const idx = images.findIndex((im) => im.id === activeId);
+  const active = images[idx];
+  const activeStatus = active ? statusOf(active) : "untouched";
+
+  return (
+    <div className="bg-white border-b px-2 py-1 flex items-center gap-2 text-sm">
+      <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" onClick={onPrev} disabled={idx <= 0}>
+        ◀
+      </button>
+      <div className="flex-1 flex gap-2 overflow-x-auto py-1">
+        {images.map((im) => {
+          const st = STATUS_STYLE[statusOf(im)];
+          return (
+            <button
+              key={im.id}
+              title={`${im.file.name} (${st.text})`}
+              className={`relative flex-shrink-0 w-16 h-12 rounded overflow-hidden border-2 ${im.id === activeId ? "border-cyan-500" : "border-transparent"}`}
+              onClick={() => onSelect(im.id)}
+            >
+              {thumbs[im.id] ? (
+                <img src={thumbs[im.id]} alt={im.file.name} className="w-full h-full object-cover" />
+              ) : (
+                <span className="block w-full h-full bg-gray-200" />
+              )}
+              <span className={`absolute top-1 right-1 w-2 h-2 rounded-full ${st.dot}`} />
+            </button>
+          );
+        })}
+      </div>
+      <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" onClick={onNext} disabled={idx >= images.length - 1}>
+        ▶
+      </button>
+      <span className="text-gray-600 whitespace-nowrap">
+        {idx + 1}/{images.length} · {STATUS_STYLE[activeStatus].text}
+      </span>
+      <button
+        className={`px-2 py-1 rounded whitespace-nowrap ${activeStatus === "done" ? "bg-emerald-600 text-white hover:bg-emerald-700" : "bg-gray-200 hover:bg-gray-300"}`}
+        onClick={onToggleDone}
+      >
+        {activeStatus === "done" ? "✓ Done" : "Mark done"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import { hotkeyFor } from "../utils/labels";
+
+// Quick class picker: the active class is assigned to new polygons
+export default function LabelBar({ labels, active, onSelect, onManage }) {
+  return (
+    <div className="bg-white border-b px-2 py-1 flex items-center gap-2 flex-wrap text-sm">
+      <span className="text-gray-500">Class:</span>
+      {labels.map((l, i) => (
+        <button
+          key={l.name}
+          className={`flex items-center gap-1 px-2 py-0.5 rounded border ${l.name === active ? "border-gray-800 bg-gray-100" : "border-transparent hover:bg-gray-100"}`}
+          onClick={() => onSelect(l.name)}
+        >
+          <span className="w-3 h-3 rounded-sm" style={{ background: l.color }} />
+          {l.name}
+          {hotkeyFor(i) && <span className="text-xs text-gray-400">{hotkeyFor(i)}</span>}
+        </button>
+      ))}
+      <button className="px-2 py-0.5 rounded bg-gray-200 text-gray-700 hover:bg-gray-300" onClick={onManage}>
+        Manage labels
+      </button>
+    </div>
+  );
+}
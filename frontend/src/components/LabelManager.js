@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { PALETTE, findLabel, normalizeName, hotkeyFor } from "../utils/labels";
+import { ATTRIBUTE_TYPES } from "../utils/attributes";
+
+// Attribute schema of one class; select options are typed as a comma-separated list
+function AttributeSchema({ attributes, onChange }) {
+  const [name, setName] = useState("");
+  const [type, setType] = useState("checkbox");
+  const [error, setError] = useState("");
+
+  const add = () => {
+    const n = name.trim();
+    if (!n) return;
+    if (attributes.some((a) => a.name === n)) return setError(`"${n}" already exists`);
+    onChange([...attributes, type === "select" ? { name: n, type, options: [] } : { name: n, type }]);
+    setName(""); setError("");
+  };
+
+  const update = (i, fields) => onChange(attributes.map((a, k) => (k === i ? { ...a, ...fields } : a)));
+
+  return (
+    <div className="ml-6 mb-2 p-2 rounded bg-gray-50 border">
+      {!attributes.length && <div className="text-gray-500 mb-1">No attributes</div>}
+      {attributes.map((a, i) => (
+        <div key={a.name} className="flex items-center gap-2 mb-1">
+          <span className="flex-1 truncate">{a.name}</span>
+          <select
+            className="border rounded px-1"
+            value={a.type}
+            onChange={(e) => update(i, e.target.value === "select" ? { type: "select", options: a.options || [] } : { type: e.target.value, options: undefined })}
+          >
+            {ATTRIBUTE_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+          {a.type === "select" && (
+            <input
+              defaultValue={(a.options || []).join(", ")}
+              onBlur={(e) => update(i, { options: e.target.value.split(",").map((o) => o.trim()).filter(Boolean) })}
+              onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+              placeholder="option, option"
+              className="border rounded px-1 w-28"
+            />
+          )}
+          <button className="px-1 text-red-500 hover:text-red-700" onClick={() => onChange(attributes.filter((_, k) => k !== i))}>🗑️</button>
+        </div>
+      ))}
+      <div className="flex gap-2 mt-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && add()}
+          placeholder="New attribute"
+          className="border rounded px-1 flex-1 min-w-0"
+        />
+        <select className="border rounded px-1" value={type} onChange={(e) => setType(e.target.value)}>
+          {ATTRIBUTE_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <button className="px-2 rounded bg-blue-600 text-white hover:bg-blue-700" onClick={add}>Add</button>
+      </div>
+      {error && <div className="text-red-600 mt-1">{error}</div>}
+    </div>
+  );
+}
+
+// Modal for editing the project label set and the attribute schema of each class;
+// renames are reported so polygons can follow
+export default function LabelManager({ labels, onChange, onRename, onImport, onExport, onClose }) {
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const [expanded, setExpanded] = useState(null); // index of the class whose attributes are shown
+
+  const add = () => {
+    const n = normalizeName(name);
+    if (!n) return;
+    if (findLabel(labels, n)) return setError(`"${n}" already exists`);
+    onChange([...labels, { name: n, color: PALETTE[labels.length % PALETTE.length] }]);
+    setName(""); setError("");
+  };
+
+  const rename = (i, value) => {
+    const n = normalizeName(value);
+    const old = labels[i].name;
+    if (!n || n === old) return;
+    const clash = findLabel(labels, n);
+    if (clash && clash !== labels[i]) return setError(`"${n}" already exists`);
+    onChange(labels.map((l, k) => (k === i ? { ...l, name: n } : l)));
+    onRename(old, n);
+    setError("");
+  };
+
+  const setColor = (i, color) => onChange(labels.map((l, k) => (k === i ? { ...l, color } : l)));
+  const setAttributes = (i, attributes) =>
+    onChange(labels.map((l, k) => (k === i ? { ...l, attributes: attributes.length ? attributes : undefined } : l)));
+
+  const move = (i, step) => {
+    const j = i + step;
+    if (j < 0 || j >= labels.length) return;
+    const next = [...labels];
+    [next[i], next[j]] = [next[j], next[i]];
+    onChange(next);
+    setExpanded(null);
+  };
+
+  const remove = (i) => {
+    if (labels.length === 1) return setError("At least one class is required");
+    onChange(labels.filter((_, k) => k !== i));
+    setExpanded(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-20" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl p-4 w-[28rem] text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold text-base">Label classes</h3>
+          <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+        </div>
+        <div className="max-h-96 overflow-y-auto">
+          {labels.map((l, i) => (
+            <React.Fragment key={`${i}_${l.name}`}>
+              <div className="flex items-center gap-2 mb-1">
+                <span className="w-4 text-gray-400 text-xs">{hotkeyFor(i) || ""}</span>
+                <input type="color" value={l.color} onChange={(e) => setColor(i, e.target.value)} className="w-6 h-6" />
+                <input
+                  defaultValue={l.name}
+                  onBlur={(e) => rename(i, e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  className="border rounded px-2 py-0.5 flex-1"
+                />
+                <button className="px-1 text-gray-500 hover:text-gray-800" onClick={() => move(i, -1)}>↑</button>
+                <button className="px-1 text-gray-500 hover:text-gray-800" onClick={() => move(i, 1)}>↓</button>
+                <button
+                  className={`px-1 rounded ${expanded === i ? "bg-gray-200" : "text-gray-500 hover:text-gray-800"}`}
+                  onClick={() => setExpanded(expanded === i ? null : i)}
+                  title="Attributes"
+                >
+                  ⚙️{l.attributes?.length ? <span className="text-xs ml-0.5">{l.attributes.length}</span> : null}
+                </button>
+                <button className="px-1 text-red-500 hover:text-red-700" onClick={() => remove(i)}>🗑️</button>
+              </div>
+              {expanded === i && <AttributeSchema attributes={l.attributes || []} onChange={(attrs) => setAttributes(i, attrs)} />}
+            </React.Fragment>
+          ))}
+        </div>
+        <div className="flex gap-2 mt-3">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && add()}
+            placeholder="New class name"
+            className="border rounded px-2 py-1 flex-1"
+          />
+          <button className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700" onClick={add}>Add</button>
+        </div>
+        {error && <div className="text-red-600 mt-2">{error}</div>}
+        <div className="flex gap-2 mt-4">
+          <label className="flex-1 text-center px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 cursor-pointer">
+            Import JSON
+            <input type="file" accept=".json" className="hidden" onChange={onImport} />
+          </label>
+          <button className="flex-1 px-3 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={onExport}>Export JSON</button>
+        </div>
+      </div>
+    </div>
+  );
+}
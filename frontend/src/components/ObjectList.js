@@ -0,0 +1,108 @@
+import React, { useRef, useState } from "react";
+import { labelColor } from "../utils/labels";
+import { shapeArea } from "../utils/geometry";
+
+const areas = new WeakMap(); // polygons are never mutated
+const areaOf = (p) => {
+  if (!areas.has(p)) areas.set(p, shapeArea(p));
+  return areas.get(p);
+};
+
+const ObjectRow = React.memo(function ObjectRow({ polygon: p, index, color, selected, dragging, handlers }) {
+  const toggle = (e, field) => {
+    e.stopPropagation();
+    handlers.current.onToggle(p.id, field);
+  };
+  return (
+    <div
+      draggable
+      onDragStart={() => handlers.current.setDragFrom(index)}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={() => handlers.current.drop(index)}
+      onDragEnd={() => handlers.current.setDragFrom(null)}
+      onClick={() => handlers.current.onSelect(p.id)}
+      className={`flex items-center gap-2 px-2 py-1 cursor-pointer border-b ${selected ? "bg-cyan-100" : "hover:bg-gray-100"} ${dragging ? "opacity-50" : ""} ${p.hidden ? "text-gray-400" : ""}`}
+    >
+      <span className="text-xs text-gray-400 w-7 text-right">{index + 1}</span>
+      <span className="w-3 h-3 rounded-sm shrink-0" style={{ background: color }} />
+      <div className="flex-1 min-w-0">
+        <div className="truncate">{p.label || "Obj"}</div>
+        <div className="text-xs text-gray-500">
+          {p.score != null ? `score ${p.score.toFixed(2)} · ` : ""}{Math.round(areaOf(p))} px²
+        </div>
+      </div>
+      {p.review?.status && <span title={`Review: ${p.review.status}`}>{p.review.status === "accepted" ? "✅" : "❌"}</span>}
+      <button className="px-1 rounded hover:bg-gray-200" title={p.hidden ? "Show" : "Hide"} onClick={(e) => toggle(e, "hidden")}>
+        {p.hidden ? "🙈" : "👁️"}
+      </button>
+      <button className="px-1 rounded hover:bg-gray-200" title={p.locked ? "Unlock" : "Lock"} onClick={(e) => toggle(e, "locked")}>
+        {p.locked ? "🔒" : "🔓"}
+      </button>
+    </div>
+  );
+});
+
+// Every polygon of the image in drawing order (later rows are drawn on top). Rows can be dragged
+// to reorder; the filter only narrows the list, hidden objects are hidden on the canvas.
+export default function ObjectList({ polygons, labels, selectedId, onSelect, onToggle, onMove, onClose }) {
+  const [query, setQuery] = useState("");
+  const [minScore, setMinScore] = useState("");
+  const [dragFrom, setDragFrom] = useState(null);
+
+  const q = query.trim().toLowerCase();
+  const rows = polygons
+    .map((p, index) => ({ p, index }))
+    // hand-drawn polygons have no score and always pass the score filter
+    .filter(({ p }) => (!q || (p.label || "").toLowerCase().includes(q)) && (minScore === "" || p.score == null || p.score >= Number(minScore)));
+
+  const drop = (to) => {
+    if (dragFrom != null && dragFrom !== to) onMove(dragFrom, to);
+    setDragFrom(null);
+  };
+
+  // rows are memoized and reach the latest callbacks through this ref, so the list does not
+  // re-render every row when the parent re-renders (e.g. on every pan step)
+  const handlers = useRef(null);
+  handlers.current = { onSelect, onToggle, drop, setDragFrom };
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">Objects ({polygons.length})</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <div className="flex gap-1 p-2 border-b">
+        <input
+          className="flex-1 min-w-0 border rounded px-1"
+          placeholder="Filter label"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <input
+          type="number"
+          className="w-16 border rounded px-1"
+          placeholder="Score ≥"
+          min={0}
+          max={1}
+          step={0.05}
+          value={minScore}
+          onChange={(e) => setMinScore(e.target.value)}
+        />
+      </div>
+      <div className="overflow-y-auto flex-1">
+        {!rows.length && <div className="px-2 py-1 text-gray-500">No objects</div>}
+        {rows.map(({ p, index }) => (
+          <ObjectRow
+            key={p.id}
+            polygon={p}
+            index={index}
+            color={labelColor(labels, p.label)}
+            selected={p.id === selectedId}
+            dragging={dragFrom === index}
+            handlers={handlers}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { coerceAttribute } from "../utils/attributes";
+
+// Attribute values of the selected polygon, following the schema of its class
+export default function PropertiesPanel({ polygon, schema, onChange, onManage }) {
+  return (
+    <div className="border-t max-h-[50%] overflow-y-auto">
+      <div className="px-2 py-1 border-b font-semibold">Properties</div>
+      <div className="p-2 flex flex-col gap-2">
+        <div className="text-gray-500">
+          {polygon.label}
+          {polygon.score != null && ` · score ${polygon.score.toFixed(3)}`}
+        </div>
+        {!schema.length && (
+          <div className="text-gray-500">
+            No attributes for this class.{" "}
+            <button className="text-blue-600 hover:underline" onClick={onManage}>Manage labels</button>
+          </div>
+        )}
+        {schema.map((attr) => {
+          const value = coerceAttribute(attr, polygon.attributes?.[attr.name]);
+          if (attr.type === "checkbox") {
+            return (
+              <label key={attr.name} className="flex items-center gap-2">
+                <input type="checkbox" checked={value} onChange={(e) => onChange(attr.name, e.target.checked)} />
+                {attr.name}
+              </label>
+            );
+          }
+          return (
+            <label key={attr.name} className="flex flex-col gap-0.5">
+              <span className="text-xs text-gray-500">{attr.name}</span>
+              {attr.type === "select" ? (
+                <select className="border rounded px-1 py-0.5" value={value} onChange={(e) => onChange(attr.name, e.target.value)}>
+                  {/* keep imported values that are not in the options list */}
+                  {[...new Set([...(attr.options || []), value].filter((o) => o !== ""))].map((o) => (
+                    <option key={o} value={o}>{o}</option>
+                  ))}
+                </select>
+              ) : attr.type === "number" ? (
+                <input
+                  type="number"
+                  className="border rounded px-1 py-0.5"
+                  value={value ?? ""}
+                  onChange={(e) => onChange(attr.name, e.target.value === "" ? null : Number(e.target.value))}
+                />
+              ) : (
+                <input className="border rounded px-1 py-0.5" value={value} onChange={(e) => onChange(attr.name, e.target.value)} />
+              )}
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from "react";
+import { Layer, Group } from "react-konva";
+import ShapePath from "./ShapePath";
+import { allRings } from "../utils/geometry";
+
+const REFERENCE_COLOR = "#f97316";
+
+// The second annotator's polygons in one color, outlined only and read-only (does not listen to
+// events). The object of the highlighted comparison row is drawn thicker.
+function ReferenceLayer({ polygons, highlightIndex, zoom, pan, strokeWidth }) {
+  return (
+    <Layer listening={false}>
+      <Group x={pan.x} y={pan.y} scaleX={zoom} scaleY={zoom}>
+        {polygons.map((p, i) => (
+          <ShapePath
+            key={i}
+            rings={allRings(p)}
+            stroke={REFERENCE_COLOR}
+            strokeWidth={(i === highlightIndex ? 2 * strokeWidth : strokeWidth) / zoom}
+            dash={[4 / zoom, 3 / zoom]}
+            perfectDrawEnabled={false}
+          />
+        ))}
+      </Group>
+    </Layer>
+  );
+}
+
+export default React.memo(ReferenceLayer);
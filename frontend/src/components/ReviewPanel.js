@@ -0,0 +1,75 @@
+import React from "react";
+
+const STATUS_ICONS = { accepted: "✅", rejected: "❌" };
+
+// Second-person review: every polygon is accepted or rejected, optionally with a comment. The
+// polygon being reviewed is the selected one; the list shows where each object stands.
+export default function ReviewPanel({ polygons, selected, onSelect, onReview, onComment, onNext, onClose }) {
+  const count = (status) => polygons.filter((p) => p.review?.status === status).length;
+  const pending = polygons.length - count("accepted") - count("rejected");
+  const status = selected?.review?.status;
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 border-b">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">Review</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <div className="px-2 py-1 border-b text-xs text-gray-600">
+        {count("accepted")} accepted · {count("rejected")} rejected · {pending} to review
+      </div>
+      <div className="p-2 border-b flex flex-col gap-2">
+        {!selected ? (
+          <div className="text-gray-500">Select a polygon to review it</div>
+        ) : (
+          <>
+            <div className="truncate">
+              {polygons.indexOf(selected) + 1}. {selected.label || "Obj"}
+              {selected.review?.reviewer && <span className="text-xs text-gray-500"> · by {selected.review.reviewer}</span>}
+            </div>
+            <div className="flex gap-1">
+              <button
+                className={`flex-1 px-2 py-1 rounded ${status === "accepted" ? "bg-emerald-600 text-white" : "bg-gray-200 hover:bg-gray-300"}`}
+                onClick={() => onReview(selected.id, status === "accepted" ? null : "accepted")}
+              >
+                Accept
+              </button>
+              <button
+                className={`flex-1 px-2 py-1 rounded ${status === "rejected" ? "bg-red-600 text-white" : "bg-gray-200 hover:bg-gray-300"}`}
+                onClick={() => onReview(selected.id, status === "rejected" ? null : "rejected")}
+              >
+                Reject
+              </button>
+            </div>
+            <textarea
+              className="border rounded px-1 py-0.5 text-sm"
+              rows={3}
+              placeholder="Comment"
+              value={selected.review?.comment || ""}
+              onChange={(e) => onComment(selected.id, e.target.value)}
+            />
+          </>
+        )}
+        <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50" disabled={!pending} onClick={onNext}>
+          Next to review
+        </button>
+      </div>
+      <div className="overflow-y-auto flex-1">
+        {polygons.map((p, i) => (
+          <div
+            key={p.id}
+            onClick={() => onSelect(p.id)}
+            className={`flex items-center gap-2 px-2 py-1 cursor-pointer border-b ${p.id === selected?.id ? "bg-cyan-100" : "hover:bg-gray-100"}`}
+          >
+            <span className="text-xs text-gray-400 w-7 text-right">{i + 1}</span>
+            <div className="flex-1 min-w-0">
+              <div className="truncate">{p.label || "Obj"}</div>
+              {p.review?.comment && <div className="text-xs text-gray-500 truncate">{p.review.comment}</div>}
+            </div>
+            <span>{STATUS_ICONS[p.review?.status] || "·"}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React from "react";
+import { Shape } from "react-konva";
+
+// Filled outline of several rings (parts and holes) using the even-odd rule
+export default function ShapePath({ rings, ...props }) {
+  return (
+    <Shape
+      {...props}
+      fillRule="evenodd"
+      sceneFunc={(ctx, shape) => {
+        ctx.beginPath();
+        for (const ring of rings) {
+          ring.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+          ctx.closePath();
+        }
+        ctx.fillStrokeShape(shape);
+      }}
+    />
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { comboFromEvent, keysFor } from "../utils/shortcuts";
+
+// Remap shortcuts: click "Set", press the new combo (Escape cancels, Backspace clears)
+export default function ShortcutSettings({ actions, overrides, onChange, onClose }) {
+  const [recording, setRecording] = useState(null);
+
+  const onKeyDown = (e) => {
+    if (!recording) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    if (combo === "Escape") return setRecording(null);
+    onChange({ ...overrides, [recording]: combo === "Backspace" ? [] : [combo] });
+    setRecording(null);
+  };
+
+  const reset = (id) => {
+    const next = { ...overrides };
+    delete next[id];
+    onChange(next);
+  };
+
+  const clashes = (a) => {
+    const keys = keysFor(a, overrides);
+    return actions.filter((b) => b !== a && !b.when && !a.when && keysFor(b, overrides).some((k) => keys.includes(k)));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-30" onClick={onClose} onKeyDown={onKeyDown} tabIndex={-1}>
+      <div className="bg-white rounded-lg shadow-xl p-4 w-[34rem] text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold text-base">Keyboard shortcuts</h3>
+          <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+        </div>
+        <div className="max-h-96 overflow-y-auto">
+          {actions.filter((a) => !a.hidden).map((a) => (
+            <div key={a.id} className="flex items-center gap-2 py-1 border-b last:border-b-0">
+              <span className="text-gray-400 w-24">{a.group}</span>
+              <span className="flex-1">
+                {a.title}
+                {clashes(a).length > 0 && <span className="ml-2 text-xs text-red-600">conflicts with {clashes(a)[0].title}</span>}
+              </span>
+              <span className="text-xs text-gray-600 w-28 text-right">
+                {recording === a.id ? "Press keys…" : keysFor(a, overrides).join(", ") || "—"}
+              </span>
+              <button className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300" onClick={() => setRecording(a.id)}>Set</button>
+              <button className="px-2 py-0.5 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-40" disabled={!(a.id in overrides)} onClick={() => reset(a.id)}>
+                Reset
+              </button>
+            </div>
+          ))}
+        </div>
+        <button className="mt-4 w-full px-3 py-1 rounded bg-gray-200 hover:bg-gray-300" onClick={() => onChange({})}>
+          Reset all to defaults
+        </button>
+      </div>
+    </div>
+  );
+}
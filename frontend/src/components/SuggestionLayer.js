@@ -0,0 +1,37 @@
+import React from "react";
+import { Layer, Group, Text } from "react-konva";
+import ShapePath from "./ShapePath";
+import { allRings, centroid } from "../utils/geometry";
+import { labelColor, hexToRgba } from "../utils/labels";
+
+const SUGGESTION_COLOR = "#d946ef";
+
+// Auto-annotation suggestions, dashed so they are not mistaken for annotations. Ticked ones are
+// filled, the one hovered in the panel is drawn thicker. Does not listen to events.
+function SuggestionLayer({ suggestions, labels, highlightId, zoom, pan }) {
+  return (
+    <Layer listening={false}>
+      <Group x={pan.x} y={pan.y} scaleX={zoom} scaleY={zoom}>
+        {suggestions.map((s) => {
+          const color = s.label ? labelColor(labels, s.label) : SUGGESTION_COLOR;
+          const [cx, cy] = centroid(s.points);
+          return (
+            <React.Fragment key={s.id}>
+              <ShapePath
+                rings={allRings(s)}
+                fill={s.checked ? hexToRgba(color, 0.25) : undefined}
+                stroke={color}
+                strokeWidth={(s.id === highlightId ? 4 : 2) / zoom}
+                dash={[6 / zoom, 4 / zoom]}
+                perfectDrawEnabled={false}
+              />
+              {s.label && <Text x={cx} y={cy} text={s.label} fontSize={14 / zoom} fill="black" perfectDrawEnabled={false} />}
+            </React.Fragment>
+          );
+        })}
+      </Group>
+    </Layer>
+  );
+}
+
+export default React.memo(SuggestionLayer);
@@ -0,0 +1,61 @@
+import React from "react";
+import { ruleTitle } from "../utils/validation";
+
+// QA issues of the open image; click a row to jump to the polygon. Issues of other images are only
+// counted, clicking one opens that image.
+export default function ValidationPanel({
+  issues, polygons, otherImages, selectedId, blockExport,
+  onBlockExport, onSelect, onWaive, onOpenImage, onClose,
+}) {
+  const open = issues.filter((i) => !i.waived).length;
+  return (
+    <div className="flex-1 flex flex-col min-h-0 border-b">
+      <div className="flex items-center justify-between px-2 py-1 border-b">
+        <span className="font-semibold">Validation ({open} open)</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose}>✕</button>
+      </div>
+      <label className="flex items-center gap-2 px-2 py-1 border-b text-xs text-gray-600">
+        <input type="checkbox" checked={blockExport} onChange={(e) => onBlockExport(e.target.checked)} />
+        Block export until every issue is fixed or waived
+      </label>
+      <div className="overflow-y-auto flex-1">
+        {!issues.length && <div className="px-2 py-1 text-gray-500">No issues in this image</div>}
+        {issues.map((issue) => (
+          <div
+            key={`${issue.polygonId}_${issue.rule}`}
+            onClick={() => onSelect(issue.polygonId)}
+            className={`flex items-center gap-2 px-2 py-1 cursor-pointer border-b ${issue.polygonId === selectedId ? "bg-cyan-100" : "hover:bg-gray-100"} ${issue.waived ? "text-gray-400" : ""}`}
+          >
+            <span className="text-xs text-gray-400 w-7 text-right">{issue.index + 1}</span>
+            <div className="flex-1 min-w-0">
+              <div className="truncate">
+                {ruleTitle(issue.rule)} · {polygons[issue.index]?.label || "Obj"}
+              </div>
+              <div className="text-xs text-gray-500 truncate">{issue.waived ? "Waived" : issue.message}</div>
+            </div>
+            <button
+              className="px-1 rounded text-xs hover:bg-gray-200"
+              onClick={(e) => {
+                e.stopPropagation();
+                onWaive(issue, !issue.waived);
+              }}
+            >
+              {issue.waived ? "Unwaive" : "Waive"}
+            </button>
+          </div>
+        ))}
+        {otherImages.length > 0 && (
+          <>
+            <div className="px-2 pt-2 pb-1 text-xs text-gray-500">Other images</div>
+            {otherImages.map((im) => (
+              <button key={im.id} className="flex w-full text-left px-2 py-1 hover:bg-gray-100" onClick={() => onOpenImage(im.id)}>
+                <span className="flex-1 truncate">{im.name}</span>
+                <span className="text-xs text-gray-500">{im.count} open</span>
+              </button>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
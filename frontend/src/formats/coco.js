@@ -0,0 +1,94 @@
+import { shapeArea, shapeBbox, bridgedParts } from "../utils/geometry";
+import { hasAttributes } from "../utils/attributes";
+
+// --------- COCO (dataset level) ----------
+// `images` are project entries: {file, width, height, polygons:[{points, label, score?, attributes?}]}
+// `labelNames` fixes the category order (the project label set); other labels are appended.
+// Image ids are positions in `images` (from 1), so exporting the whole project keeps them stable.
+// Each part of an object is one segmentation polygon; holes are bridged into their part since
+// COCO polygons cannot express them.
+export function toCOCO(images, description = "Annotations", labelNames = []) {
+  const categories = [];
+  const categoryIds = new Map(); // label name -> category id
+  const categoryId = (label) => {
+    const name = label || "Object";
+    if (!categoryIds.has(name)) {
+      categoryIds.set(name, categories.length + 1);
+      categories.push({ id: categories.length + 1, name, supercategory: "object" });
+    }
+    return categoryIds.get(name);
+  };
+  labelNames.forEach(categoryId);
+
+  const annotations = [];
+  const cocoImages = images.map((im, i) => {
+    const imageId = i + 1;
+    for (const p of im.polygons) {
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: imageId,
+        category_id: categoryId(p.label),
+        segmentation: bridgedParts(p).map((ring) => ring.flat()),
+        area: shapeArea(p),
+        bbox: shapeBbox(p),
+        iscrowd: 0,
+        ...(p.score != null ? { score: p.score } : {}),
+        ...(hasAttributes(p) ? { attributes: p.attributes } : {}),
+      });
+    }
+    return { id: imageId, file_name: im.file.name, width: im.width || 0, height: im.height || 0 };
+  });
+
+  return {
+    info: { description, version: "1.0" },
+    images: cocoImages,
+    annotations,
+    categories,
+  };
+}
+
+// Returns {images: [{file_name, width, height, polygons}], skipped}
+// where `skipped` counts annotations that have no polygon segmentation (RLE masks).
+export function fromCOCO(coco) {
+  if (!Array.isArray(coco?.images) || !Array.isArray(coco?.annotations)) {
+    throw new Error("Not a COCO file");
+  }
+  const names = new Map((coco.categories || []).map((c) => [c.id, c.name]));
+  const byImage = new Map(
+    coco.images.map((im) => [im.id, { file_name: im.file_name, width: im.width, height: im.height, polygons: [] }])
+  );
+
+  let skipped = 0;
+  for (const ann of coco.annotations) {
+    const target = byImage.get(ann.image_id);
+    if (!target || !Array.isArray(ann.segmentation)) { skipped++; continue; }
+    // all polygons of an annotation are parts of one object
+    const rings = ann.segmentation.filter((flat) => flat.length >= 6).map((flat) => {
+      const ring = [];
+      for (let k = 0; k + 1 < flat.length; k += 2) ring.push([flat[k], flat[k + 1]]);
+      return ring;
+    });
+    if (!rings.length) { skipped++; continue; }
+    const [points, ...rest] = rings;
+    target.polygons.push({
+      points,
+      ...(rest.length ? { rings: rest } : {}),
+      label: names.get(ann.category_id) || "Object",
+      score: ann.score,
+      ...(ann.attributes && Object.keys(ann.attributes).length ? { attributes: ann.attributes } : {}),
+    });
+  }
+
+  return { images: [...byImage.values()], skipped };
+}
+
+export default {
+  id: "coco",
+  name: "COCO",
+  accept: ".json",
+  exportFiles: (images, { labels }) => {
+    const name = images.length === 1 ? images[0].file.name : "project";
+    return [{ name: `${name}_coco.json`, content: JSON.stringify(toCOCO(images, `Annotations for ${name}`, labels), null, 2) }];
+  },
+  importFile: (text) => fromCOCO(JSON.parse(text)),
+};
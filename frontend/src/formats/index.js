@@ -0,0 +1,22 @@
+import json from "./json";
+import coco from "./coco";
+import yolo from "./yolo";
+import voc from "./voc";
+import labelme from "./labelme";
+import masks from "./masks";
+
+// --------- Annotation formats ----------
+// Each format is a plain object:
+//   id, name          identifier and toolbar label
+//   accept            file input filter for imports
+//   options           optional [{key, label, default}] toggles shown next to the format picker
+//   exportFiles(images, {labels, labelSet, options}) -> [{name, content}] (or a promise of it)
+//       images are project entries {file, url, width, height, polygons}, labels the class names in order,
+//       labelSet the classes with colors; content is a string or Uint8Array
+//   importFile(text, {fileName, labels, bundle?}) -> {images: [{file_name, polygons, normalized?}], skipped?}
+//       optional, export-only formats leave it out; bundle maps the names of all files imported
+//       together to their text
+// Register new formats here; the toolbar lists whatever is in FORMATS.
+export const FORMATS = [json, coco, yolo, voc, labelme, masks];
+
+export const getFormat = (id) => FORMATS.find((f) => f.id === id) || FORMATS[0];
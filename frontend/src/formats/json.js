@@ -0,0 +1,47 @@
+import { hasAttributes } from "../utils/attributes";
+
+// --------- Custom JSON ({image, polygons, labels, scores, rings?, attributes?, reviews?}) ----------
+// polygons[i] is the main outer ring; rings[i] (only written when some object has them) lists the
+// object's other parts and holes, filled with the even-odd rule. attributes[i] holds the object's
+// attribute values, also only written when some object has them. reviews[i] is the QA review
+// {status, comment, reviewer, time} or null, written when some object was reviewed.
+export function toJSON(im) {
+  const hasRings = im.polygons.some((p) => p.rings?.length);
+  const withAttributes = im.polygons.some(hasAttributes);
+  const reviewed = im.polygons.some((p) => p.review);
+  return {
+    image: im.file.name,
+    width: im.width || 0,
+    height: im.height || 0,
+    polygons: im.polygons.map((p) => p.points),
+    labels: im.polygons.map((p) => p.label || "Object"),
+    scores: im.polygons.map((p) => p.score ?? null),
+    ...(hasRings ? { rings: im.polygons.map((p) => p.rings || []) } : {}),
+    ...(withAttributes ? { attributes: im.polygons.map((p) => p.attributes || {}) } : {}),
+    ...(reviewed ? { reviews: im.polygons.map((p) => p.review || null) } : {}),
+  };
+}
+
+export function fromJSON(data) {
+  if (!data?.polygons) throw new Error("Invalid file");
+  return {
+    file_name: data.image,
+    polygons: data.polygons.map((pts, i) => ({
+      points: pts,
+      ...(data.rings?.[i]?.length ? { rings: data.rings[i] } : {}),
+      label: data.labels?.[i] || `Obj_${i + 1}`,
+      score: data.scores?.[i] ?? undefined,
+      ...(data.attributes?.[i] && Object.keys(data.attributes[i]).length ? { attributes: data.attributes[i] } : {}),
+      ...(data.reviews?.[i] ? { review: data.reviews[i] } : {}),
+    })),
+  };
+}
+
+export default {
+  id: "json",
+  name: "JSON",
+  accept: ".json",
+  exportFiles: (images) =>
+    images.map((im) => ({ name: `${im.file.name}_annotations.json`, content: JSON.stringify(toJSON(im), null, 2) })),
+  importFile: (text) => ({ images: [fromJSON(JSON.parse(text))] }),
+};
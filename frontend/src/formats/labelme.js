@@ -0,0 +1,70 @@
+import { baseName } from "../utils/files";
+import { bridgedParts } from "../utils/geometry";
+import { hasAttributes } from "../utils/attributes";
+
+// --------- LabelMe JSON ----------
+// Multi-part objects become one shape per part sharing a group_id; holes are bridged into their part.
+// Attribute values go to an extra `attributes` key on every shape of the object (LabelMe keeps
+// unknown shape keys when it saves).
+export function toLabelMe(im) {
+  let group = 0;
+  return {
+    version: "5.2.1",
+    flags: {},
+    shapes: im.polygons.flatMap((p) => {
+      const parts = bridgedParts(p);
+      const groupId = parts.length > 1 ? ++group : null;
+      return parts.map((ring) => ({
+        label: p.label || "Object",
+        points: ring,
+        group_id: groupId,
+        shape_type: "polygon",
+        flags: {},
+        ...(hasAttributes(p) ? { attributes: p.attributes } : {}),
+      }));
+    }),
+    imagePath: im.file.name,
+    imageData: null,
+    imageHeight: im.height || 0,
+    imageWidth: im.width || 0,
+  };
+}
+
+export function fromLabelMe(data) {
+  if (!Array.isArray(data?.shapes)) throw new Error("Not a LabelMe file");
+  let skipped = 0;
+  const polygons = [];
+  const groups = new Map(); // "label/group_id" -> object, shapes of one group are parts of it
+  for (const s of data.shapes) {
+    const type = s.shape_type || "polygon";
+    let ring;
+    if (type === "polygon" && s.points?.length >= 3) {
+      ring = s.points;
+    } else if (type === "rectangle" && s.points?.length === 2) {
+      const [[x1, y1], [x2, y2]] = s.points;
+      ring = [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+    } else {
+      skipped++;
+      continue;
+    }
+    const label = s.label || "Object";
+    const key = s.group_id != null ? `${label}/${s.group_id}` : null;
+    const existing = key && groups.get(key);
+    if (existing) {
+      existing.rings = [...(existing.rings || []), ring];
+    } else {
+      const obj = { points: ring, label, ...(s.attributes && Object.keys(s.attributes).length ? { attributes: s.attributes } : {}) };
+      polygons.push(obj);
+      if (key) groups.set(key, obj);
+    }
+  }
+  return { images: [{ file_name: data.imagePath?.split(/[\\/]/).pop(), polygons }], skipped };
+}
+
+export default {
+  id: "labelme",
+  name: "LabelMe",
+  accept: ".json",
+  exportFiles: (images) => images.map((im) => ({ name: `${baseName(im.file.name)}.json`, content: JSON.stringify(toLabelMe(im), null, 2) })),
+  importFile: (text) => fromLabelMe(JSON.parse(text)),
+};
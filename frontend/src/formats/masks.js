@@ -0,0 +1,78 @@
+import { withLabels, labelColor } from "../utils/labels";
+import { baseName } from "../utils/files";
+import { fillRings } from "../utils/raster";
+import { encodePNG } from "../utils/png";
+import { allRings } from "../utils/geometry";
+import { hasAttributes } from "../utils/attributes";
+
+// --------- Raster masks (export only) ----------
+//   semantic/<image>.png   8-bit, pixel = class index (0 = background, classes follow the label set)
+//   instance/<image>.png   16-bit, pixel = instance id (0 = background, 1..N in drawing order)
+//   instance/<image>.json  instance id -> {label, attributes?}
+//   overlay/<image>.png    optional colorized preview for QA
+//   legend.json            class index -> name and color
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not load image"));
+    img.src = url;
+  });
+}
+
+async function overlayPNG(im, semantic, classes) {
+  const canvas = document.createElement("canvas");
+  canvas.width = im.width; canvas.height = im.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(await loadImage(im.url), 0, 0);
+  const pixels = ctx.getImageData(0, 0, im.width, im.height);
+  const rgb = classes.map((c) => [1, 3, 5].map((k) => parseInt(c.color.slice(k, k + 2), 16)));
+  for (let i = 0; i < semantic.length; i++) {
+    if (!semantic[i]) continue;
+    const [r, g, b] = rgb[semantic[i] - 1];
+    pixels.data[4 * i] = (pixels.data[4 * i] + r) >> 1;
+    pixels.data[4 * i + 1] = (pixels.data[4 * i + 1] + g) >> 1;
+    pixels.data[4 * i + 2] = (pixels.data[4 * i + 2] + b) >> 1;
+  }
+  ctx.putImageData(pixels, 0, 0);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+export default {
+  id: "masks",
+  name: "PNG masks",
+  options: [{ key: "overlay", label: "Overlay preview", default: true }],
+  exportFiles: async (images, { labels, labelSet = [], options = {} }) => {
+    const classes = withLabels(labels.map((name) => ({ name, color: labelColor(labelSet, name) })), images.flatMap((im) => im.polygons.map((p) => p.label || "Object")));
+    if (classes.length > 255) throw new Error("Semantic masks support at most 255 classes");
+    if (images.some((im) => im.polygons.length > 65535)) throw new Error("Instance masks support at most 65535 objects per image");
+
+    const files = [];
+    for (const im of images) {
+      const { width, height } = im;
+      const semantic = new Uint8Array(width * height);
+      const instance = new Uint16Array(width * height);
+      const instances = {};
+      im.polygons.forEach((p, i) => {
+        const rings = allRings(p);
+        const cls = classes.findIndex((c) => c.name === (p.label || "Object")) + 1;
+        fillRings(semantic, width, height, rings, cls);
+        fillRings(instance, width, height, rings, i + 1);
+        instances[i + 1] = { label: p.label || "Object", ...(hasAttributes(p) ? { attributes: p.attributes } : {}) };
+      });
+
+      const name = baseName(im.file.name);
+      files.push({ name: `semantic/${name}.png`, content: await encodePNG(width, height, semantic) });
+      files.push({ name: `instance/${name}.png`, content: await encodePNG(width, height, instance, { bitDepth: 16 }) });
+      files.push({ name: `instance/${name}.json`, content: JSON.stringify(instances, null, 2) });
+      if (options.overlay) files.push({ name: `overlay/${name}.png`, content: await overlayPNG(im, semantic, classes) });
+    }
+
+    const legend = {
+      background: 0,
+      classes: classes.map((c, i) => ({ index: i + 1, name: c.name, color: c.color })),
+    };
+    return [{ name: "legend.json", content: JSON.stringify(legend, null, 2) }, ...files];
+  },
+};
@@ -0,0 +1,82 @@
+import { shapeBbox, bridgedShape } from "../utils/geometry";
+import { baseName } from "../utils/files";
+import { hasAttributes } from "../utils/attributes";
+
+// --------- Pascal VOC XML (bndbox per object, plus a <polygon> with the outline) ----------
+// Objects with several parts or holes are written as one bridged outline. Attributes are written as
+// <attributes><attribute><name/><value/></attribute></attributes> like CVAT does; attributes named
+// truncated, difficult or occluded also fill the standard VOC flags.
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const flag = (p, name) => (p.attributes?.[name] === true || Number(p.attributes?.[name]) > 0 ? 1 : 0);
+
+function attributesXML(p) {
+  if (!hasAttributes(p)) return "";
+  const items = Object.entries(p.attributes).map(([name, value]) => `<attribute><name>${esc(name)}</name><value>${esc(value ?? "")}</value></attribute>`);
+  return `\n    <attributes>${items.join("")}</attributes>`;
+}
+
+export function toVOC(im) {
+  const objects = im.polygons.map((p) => {
+    const [x, y, w, h] = shapeBbox(p);
+    const poly = bridgedShape(p).map(([px, py], i) => `<x${i + 1}>${px.toFixed(1)}</x${i + 1}><y${i + 1}>${py.toFixed(1)}</y${i + 1}>`).join("");
+    return `  <object>
+    <name>${esc(p.label || "Object")}</name>
+    <pose>Unspecified</pose>
+    <truncated>${flag(p, "truncated")}</truncated>
+    <difficult>${flag(p, "difficult")}</difficult>${p.attributes && "occluded" in p.attributes ? `\n    <occluded>${flag(p, "occluded")}</occluded>` : ""}
+    <bndbox>
+      <xmin>${Math.round(x)}</xmin>
+      <ymin>${Math.round(y)}</ymin>
+      <xmax>${Math.round(x + w)}</xmax>
+      <ymax>${Math.round(y + h)}</ymax>
+    </bndbox>
+    <polygon>${poly}</polygon>${attributesXML(p)}
+  </object>`;
+  });
+  return `<annotation>
+  <folder>images</folder>
+  <filename>${esc(im.file.name)}</filename>
+  <size>
+    <width>${im.width || 0}</width>
+    <height>${im.height || 0}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>1</segmented>
+${objects.join("\n")}
+</annotation>
+`;
+}
+
+export function fromVOC(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror") || !doc.querySelector("annotation")) throw new Error("Invalid VOC XML");
+  const num = (el, tag) => parseFloat(el.querySelector(tag)?.textContent);
+
+  const polygons = [...doc.querySelectorAll("annotation > object")].map((obj) => {
+    const label = obj.querySelector("name")?.textContent.trim() || "Object";
+    const points = [];
+    const poly = obj.querySelector("polygon");
+    for (let i = 1; poly && poly.querySelector(`x${i}`); i++) points.push([num(poly, `x${i}`), num(poly, `y${i}`)]);
+    if (points.length < 3) {
+      // plain VOC only has the box
+      const b = obj.querySelector("bndbox");
+      const [x1, y1, x2, y2] = ["xmin", "ymin", "xmax", "ymax"].map((t) => num(b, t));
+      points.splice(0, points.length, [x1, y1], [x2, y1], [x2, y2], [x1, y2]);
+    }
+    // values come back as strings, the class schema converts them
+    const attributes = Object.fromEntries(
+      [...obj.querySelectorAll("attributes > attribute")].map((a) => [a.querySelector("name")?.textContent.trim(), a.querySelector("value")?.textContent ?? ""]).filter(([name]) => name)
+    );
+    return { points, label, ...(Object.keys(attributes).length ? { attributes } : {}) };
+  });
+  return { file_name: doc.querySelector("annotation > filename")?.textContent.trim(), polygons };
+}
+
+export default {
+  id: "voc",
+  name: "Pascal VOC",
+  accept: ".xml",
+  exportFiles: (images) => images.map((im) => ({ name: `Annotations/${baseName(im.file.name)}.xml`, content: toVOC(im) })),
+  importFile: (text) => ({ images: [fromVOC(text)] }),
+};
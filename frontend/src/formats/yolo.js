@@ -0,0 +1,45 @@
+import { withLabels } from "../utils/labels";
+import { baseName } from "../utils/files";
+import { bridgedShape } from "../utils/geometry";
+
+// --------- YOLOv8 segmentation (<class> x1 y1 x2 y2 ... normalized to 0-1) ----------
+// One line per object: parts and holes are joined with zero-width bridges, like Ultralytics does.
+
+const CLASSES_FILE = "classes.txt";
+const parseClasses = (text) => text.trim().split(/\r?\n/).map((line) => line.trim());
+
+export default {
+  id: "yolo",
+  name: "YOLO-seg",
+  accept: ".txt",
+  exportFiles: (images, { labels }) => {
+    // class indices follow the label set; labels outside it are appended
+    const classes = withLabels(labels.map((name) => ({ name })), images.flatMap((im) => im.polygons.map((p) => p.label || "Object"))).map((l) => l.name);
+    const files = images.map((im) => {
+      const lines = im.polygons.map((p) => {
+        const cls = classes.indexOf(p.label || "Object");
+        const coords = bridgedShape(p).map(([x, y]) => `${(x / im.width).toFixed(6)} ${(y / im.height).toFixed(6)}`);
+        return `${cls} ${coords.join(" ")}`;
+      });
+      return { name: `labels/${baseName(im.file.name)}.txt`, content: lines.join("\n") + "\n" };
+    });
+    return [{ name: CLASSES_FILE, content: classes.join("\n") + "\n" }, ...files];
+  },
+  // Coordinates stay normalized; the caller scales them to the image size. Class indices are
+  // resolved through a classes.txt imported along with the label files, else the current label set.
+  importFile: (text, { fileName, labels, bundle }) => {
+    if (fileName === CLASSES_FILE) return { images: [] };
+    const classes = bundle?.has(CLASSES_FILE) ? parseClasses(bundle.get(CLASSES_FILE)) : labels;
+    const polygons = [];
+    let skipped = 0;
+    for (const line of text.split(/\r?\n/)) {
+      const nums = line.trim().split(/\s+/).map(Number);
+      if (nums.length < 7 || nums.some(Number.isNaN)) { if (line.trim()) skipped++; continue; }
+      const [cls, ...coords] = nums;
+      const points = [];
+      for (let k = 0; k + 1 < coords.length; k += 2) points.push([coords[k], coords[k + 1]]);
+      polygons.push({ points, label: classes[cls] || `class_${cls}` });
+    }
+    return { images: [{ file_name: baseName(fileName), polygons, normalized: true }], skipped };
+  },
+};
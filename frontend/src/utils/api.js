@@ -0,0 +1,62 @@
+import axios from "axios";
+
+// --------- API CLIENT ----------
+// Every backend call goes through `api`, which sends the bearer token from /auth.
+// The token is kept in localStorage so a reload stays logged in until it expires.
+// (no process.env here to avoid "process is not defined")
+export const API_BASE = (window && window.API_BASE) || "http://localhost:8000";
+const STORAGE_KEY = "annotate-easy.auth";
+
+export const api = axios.create({ baseURL: API_BASE });
+
+// {token, user, expiresAt} or null when missing or expired
+export function loadAuth() {
+  try {
+    const auth = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return auth?.token && auth.expiresAt > Date.now() ? auth : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveAuth(auth) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(auth));
+}
+
+export function clearAuth() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+api.interceptors.request.use((config) => {
+  const auth = loadAuth();
+  if (auth) config.headers.Authorization = `Bearer ${auth.token}`;
+  return config;
+});
+
+// Calls `handler` when an authenticated request comes back 401 (token expired or revoked on the
+// server). Returns a function that removes the handler.
+export function onUnauthorized(handler) {
+  const id = api.interceptors.response.use(undefined, (err) => {
+    if (err?.response?.status === 401 && err.config?.headers?.Authorization) handler(err);
+    return Promise.reject(err);
+  });
+  return () => api.interceptors.response.eject(id);
+}
+
+export async function login(password, username) {
+  const { data } = await api.post("/auth", { password, username });
+  const auth = { token: data.token, user: data.user, expiresAt: Date.now() + data.expires_in * 1000 };
+  saveAuth(auth);
+  return auth;
+}
+
+// Revokes the token on the server; the local copy is dropped even when that fails
+export async function logout() {
+  try {
+    await api.post("/auth/logout");
+  } catch {
+    // already expired or server unreachable
+  } finally {
+    clearAuth();
+  }
+}
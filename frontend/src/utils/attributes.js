@@ -0,0 +1,52 @@
+// --------- OBJECT ATTRIBUTES ----------
+// A label class may define an attribute schema: [{name, type, options?}] with type
+// checkbox | select | number | text (options only for select). Polygons keep the values they were
+// given in `attributes: {name: value}`; unset attributes fall back to the default of their type.
+export const ATTRIBUTE_TYPES = ["checkbox", "select", "number", "text"];
+
+export function attributeDefault(attr) {
+  if (attr.type === "checkbox") return false;
+  if (attr.type === "select") return attr.options?.[0] ?? "";
+  if (attr.type === "number") return null;
+  return "";
+}
+
+// Imported values may be strings (VOC XML) or of another type than the schema says
+export function coerceAttribute(attr, value) {
+  if (value == null) return attributeDefault(attr);
+  switch (attr.type) {
+    case "checkbox": return value === true || value === 1 || /^(true|1|yes)$/i.test(String(value));
+    case "number": {
+      const n = value === "" ? NaN : Number(value);
+      return Number.isFinite(n) ? n : null;
+    }
+    default: return String(value);
+  }
+}
+
+export const hasAttributes = (p) => !!p.attributes && Object.keys(p.attributes).length > 0;
+
+// Every attribute of the object's class with its value (or default); other stored values are dropped
+export function attributeValues(schema = [], p) {
+  return Object.fromEntries(schema.map((a) => [a.name, coerceAttribute(a, p.attributes?.[a.name])]));
+}
+
+export function parseAttributes(list) {
+  if (!Array.isArray(list)) return [];
+  const attrs = [];
+  for (const item of list) {
+    const name = String(item?.name || "").trim();
+    if (!name || attrs.some((a) => a.name === name)) continue;
+    const type = ATTRIBUTE_TYPES.includes(item.type) ? item.type : "text";
+    const options = type === "select" ? (Array.isArray(item.options) ? item.options.map(String).filter(Boolean) : []) : undefined;
+    attrs.push(options ? { name, type, options } : { name, type });
+  }
+  return attrs;
+}
+
+// Schema entry for an attribute only known from imported values
+export function inferAttribute(name, value) {
+  if (typeof value === "boolean" || /^(true|false)$/i.test(String(value))) return { name, type: "checkbox" };
+  if (typeof value === "number") return { name, type: "number" };
+  return { name, type: "text" };
+}
@@ -0,0 +1,20 @@
+// --------- BENCHMARK SCENE ----------
+// A grid of irregular polygons covering the image, for checking that panning, zooming and editing
+// stay smooth with many objects (command palette: "Load benchmark scene").
+export function benchmarkPolygons(width, height, count = 1000, labels = ["Object"]) {
+  const cols = Math.max(1, Math.round(Math.sqrt((count * width) / height)));
+  const rows = Math.ceil(count / cols);
+  const cw = width / cols, ch = height / rows;
+  const radius = Math.min(cw, ch) * 0.45;
+  const stamp = Date.now();
+  return Array.from({ length: count }, (_, i) => {
+    const cx = ((i % cols) + 0.5) * cw, cy = (Math.floor(i / cols) + 0.5) * ch;
+    const n = 12 + (i % 20);
+    const points = Array.from({ length: n }, (_, k) => {
+      const a = (k / n) * 2 * Math.PI;
+      const r = radius * (0.6 + 0.4 * Math.random());
+      return [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+    });
+    return { id: `bench_${stamp}_${i}`, points, label: labels[i % labels.length], score: Math.random() };
+  });
+}
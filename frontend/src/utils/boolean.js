@@ -0,0 +1,53 @@
+import polygonClipping from "polygon-clipping";
+import { area, shapeArea, shapeBbox, shapeParts } from "./geometry";
+
+// --------- POLYGON BOOLEANS (union, difference, intersection, split, IoU) ----------
+// Shapes are converted to polygon-clipping MultiPolygons [[outer, ...holes], ...] and back.
+// Results are {points, rings} field updates, or null when nothing is left.
+const toMulti = (p) => shapeParts(p).map(({ outer, holes }) => [outer, ...holes]);
+
+// polygon-clipping closes every ring by repeating its first vertex
+const openRing = (ring) => ring.slice(0, -1);
+
+// The largest part becomes the main ring, its holes and all other parts go to `rings`
+function fromMulti(multi) {
+  const parts = multi.map((poly) => poly.map(openRing)).sort((a, b) => area(b[0]) - area(a[0]));
+  if (!parts.length) return null;
+  const [[points, ...holes], ...others] = parts;
+  const rings = [...holes, ...others.flat()];
+  return { points, rings: rings.length ? rings : undefined };
+}
+
+export const unionShapes = (shape, others) => fromMulti(polygonClipping.union(toMulti(shape), ...others.map(toMulti)));
+export const differenceShapes = (shape, others) => fromMulti(polygonClipping.difference(toMulti(shape), ...others.map(toMulti)));
+export const intersectShapes = (shape, others) => fromMulti(polygonClipping.intersection(toMulti(shape), ...others.map(toMulti)));
+
+// Intersection over union of two shapes, 0 when they do not overlap
+export function shapeIoU(a, b) {
+  const inter = polygonClipping
+    .intersection(toMulti(a), toMulti(b))
+    .reduce((sum, [outer, ...holes]) => sum + area(outer) - holes.reduce((h, ring) => h + area(ring), 0), 0);
+  return inter > 0 ? inter / (shapeArea(a) + shapeArea(b) - inter) : 0;
+}
+
+// Cut a shape along the infinite line through `a` and `b`. Every connected piece on either side
+// becomes its own shape; null when the line misses the shape.
+export function splitShape(shape, [ax, ay], [bx, by]) {
+  const len = Math.hypot(bx - ax, by - ay);
+  if (!len) return null;
+  const [x, y, w, h] = shapeBbox(shape);
+  // far enough to cover the whole shape from anywhere on the line
+  const far = 2 * (Math.hypot(w, h) + Math.hypot(x - ax, y - ay)) + 10;
+  const dx = ((bx - ax) / len) * far, dy = ((by - ay) / len) * far;
+  const halfPlane = (side) => [[
+    [ax - dx, ay - dy],
+    [ax + dx, ay + dy],
+    [ax + dx - side * dy, ay + dy + side * dx],
+    [ax - dx - side * dy, ay - dy + side * dx],
+  ]];
+  const multi = toMulti(shape);
+  // both sides must get something: a line that misses a multi-part shape still leaves its parts
+  const sides = [1, -1].map((side) => polygonClipping.intersection(multi, halfPlane(side)));
+  if (sides.some((side) => !side.length)) return null;
+  return sides.flat().map((poly) => fromMulti([poly])).sort((a, b) => area(b.points) - area(a.points));
+}
@@ -0,0 +1,77 @@
+import { shapeBbox } from "./geometry";
+import { shapeIoU } from "./boolean";
+import { normalizeName } from "./labels";
+
+// --------- INTER-ANNOTATOR COMPARISON ----------
+// The open image's polygons ("current") against a second annotator's ("reference"). Pairs are
+// matched greedily from the highest IoU down, each object at most once; a pair needs at least
+// `minIoU`. Unmatched reference objects were missed, unmatched current objects are extra.
+
+const overlaps = ([ax, ay, aw, ah], [bx, by, bw, bh]) => ax <= bx + bw && bx <= ax + aw && ay <= by + bh && by <= ay + ah;
+
+const safeIoU = (a, b) => {
+  try {
+    return shapeIoU(a, b);
+  } catch {
+    return 0; // degenerate rings the clipper cannot handle
+  }
+};
+
+export const sameLabel = (a, b) => normalizeName(a).toLowerCase() === normalizeName(b).toLowerCase();
+
+// Rows {status: "match" | "missed" | "extra", current, reference, iou, labelMatch}; `current` and
+// `reference` are indices into the two lists (null when absent). Matches come first, best IoU first.
+export function matchAnnotations(current, reference, minIoU = 0.5) {
+  const boxes = reference.map(shapeBbox);
+  const pairs = [];
+  current.forEach((p, i) => {
+    const box = shapeBbox(p);
+    reference.forEach((q, j) => {
+      if (!overlaps(box, boxes[j])) return;
+      const iou = safeIoU(p, q);
+      if (iou >= minIoU) pairs.push({ i, j, iou });
+    });
+  });
+  pairs.sort((a, b) => b.iou - a.iou);
+
+  const usedCurrent = new Set(), usedReference = new Set();
+  const rows = [];
+  for (const { i, j, iou } of pairs) {
+    if (usedCurrent.has(i) || usedReference.has(j)) continue;
+    usedCurrent.add(i);
+    usedReference.add(j);
+    rows.push({ status: "match", current: i, reference: j, iou, labelMatch: sameLabel(current[i].label, reference[j].label) });
+  }
+  reference.forEach((_, j) => usedReference.has(j) || rows.push({ status: "missed", current: null, reference: j, iou: 0, labelMatch: false }));
+  current.forEach((_, i) => usedCurrent.has(i) || rows.push({ status: "extra", current: i, reference: null, iou: 0, labelMatch: false }));
+  return rows;
+}
+
+export function compareSummary(rows) {
+  const matches = rows.filter((r) => r.status === "match");
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return {
+    matched: matches.length,
+    missed: count("missed"),
+    extra: count("extra"),
+    meanIoU: matches.length ? matches.reduce((s, r) => s + r.iou, 0) / matches.length : 0,
+    labelAgreement: matches.length ? matches.filter((r) => r.labelMatch).length / matches.length : 0,
+  };
+}
+
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+// One line per row; object numbers are 1-based like in the object list
+export function compareCSV(rows, current, reference) {
+  const header = ["status", "current_object", "current_label", "reference_object", "reference_label", "iou", "label_match"];
+  const lines = rows.map((r) => [
+    r.status,
+    r.current != null ? r.current + 1 : "",
+    r.current != null ? current[r.current].label || "" : "",
+    r.reference != null ? r.reference + 1 : "",
+    r.reference != null ? reference[r.reference].label || "" : "",
+    r.status === "match" ? r.iou.toFixed(4) : "",
+    r.status === "match" ? String(r.labelMatch) : "",
+  ]);
+  return [header, ...lines].map((line) => line.map(csvCell).join(",")).join("\n") + "\n";
+}
@@ -0,0 +1,76 @@
+// --------- DISPLAY ADJUSTMENTS ----------
+// How the image is shown, never what is sent to the backend or exported. Every adjustment is a lookup
+// table over 0-255 applied to a copy of the displayed pyramid level.
+export const CHANNELS = ["rgb", "r", "g", "b"];
+
+export const DEFAULT_ADJUST = { brightness: 0, contrast: 0, gamma: 1, equalize: false, channel: "rgb", invert: false };
+export const DEFAULT_OVERLAY = { fillOpacity: 0.2, strokeWidth: 2 };
+
+export const isIdentity = (d) =>
+  !d.brightness && !d.contrast && d.gamma === 1 && !d.equalize && d.channel === "rgb" && !d.invert;
+
+// 256-bin luminance histogram of an image or canvas
+export function luminanceHistogram(source) {
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const hist = new Float64Array(256);
+  for (let i = 0; i < data.length; i += 4) hist[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+  return hist;
+}
+
+// Maps each value to its rank in the histogram, spreading the values over 0-255
+function equalizeLut(hist) {
+  const total = hist.reduce((s, n) => s + n, 0);
+  const lut = new Float64Array(256);
+  let sum = 0, first = -1;
+  for (let v = 0; v < 256; v++) {
+    if (first < 0 && hist[v]) first = sum + hist[v];
+    sum += hist[v];
+    if (first < 0) lut[v] = 0;
+    else lut[v] = total > first ? (255 * (sum - first)) / (total - first) : v;
+  }
+  return lut;
+}
+
+// Equalization, then contrast (-100..100) around mid-grey, brightness (-100..100), gamma (> 1
+// brightens the dark tones) and invert
+export function displayLut(d, histogram) {
+  const eq = d.equalize && histogram ? equalizeLut(histogram) : null;
+  const factor = ((100 + d.contrast) / 100) ** 2;
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    let x = eq ? eq[v] : v;
+    x = (x - 128) * factor + 128 + d.brightness * 2.55;
+    x = 255 * Math.min(1, Math.max(0, x / 255)) ** (1 / d.gamma);
+    lut[v] = d.invert ? 255 - x : x;
+  }
+  return lut;
+}
+
+// An adjusted copy of an image or canvas. A single channel is shown as grey.
+export function adjustImage(source, d, histogram) {
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = pixels;
+  const lut = displayLut(d, histogram);
+  const channel = CHANNELS.indexOf(d.channel) - 1; // -1 for rgb
+  for (let i = 0; i < data.length; i += 4) {
+    if (channel >= 0) {
+      data[i] = data[i + 1] = data[i + 2] = lut[data[i + channel]];
+    } else {
+      data[i] = lut[data[i]];
+      data[i + 1] = lut[data[i + 1]];
+      data[i + 2] = lut[data[i + 2]];
+    }
+  }
+  ctx.putImageData(pixels, 0, 0);
+  return canvas;
+}
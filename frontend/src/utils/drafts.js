@@ -0,0 +1,85 @@
+// --------- DRAFTS (IndexedDB autosave) ----------
+// drafts:  {key, fileName, polygons, done, updatedAt}   one per image
+// files:   {key, file}                                 the image itself, written once
+// session: {id: "last", imageKeys, activeKey, labels, updatedAt}
+const DB_NAME = "annotate-easy";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("drafts", { keyPath: "key" });
+        db.createObjectStore("files", { keyPath: "key" });
+        db.createObjectStore("session", { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(stores)` in one transaction and resolve with the value of the last request it returns
+async function tx(names, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, t.objectStore(n)]));
+    const req = fn(stores);
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+// Stable key for an image file across reloads
+export const imageKey = (file) => `${file.name}_${file.size}_${file.lastModified}`;
+
+export function saveDraft(draft) {
+  return tx(["drafts"], "readwrite", (s) => s.drafts.put({ ...draft, updatedAt: Date.now() }));
+}
+
+export function saveFile(key, file) {
+  return tx(["files"], "readwrite", (s) => s.files.put({ key, file }));
+}
+
+export function saveSession(session) {
+  return tx(["session"], "readwrite", (s) => s.session.put({ ...session, id: "last", updatedAt: Date.now() }));
+}
+
+export function loadSession() {
+  return tx(["session"], "readonly", (s) => s.session.get("last"));
+}
+
+export function listDrafts() {
+  return tx(["drafts"], "readonly", (s) => s.drafts.getAll());
+}
+
+// {key, fileName, polygons, done, file} or undefined when the draft or its image is gone
+export async function loadDraft(key) {
+  const [draft, stored] = await Promise.all([
+    tx(["drafts"], "readonly", (s) => s.drafts.get(key)),
+    tx(["files"], "readonly", (s) => s.files.get(key)),
+  ]);
+  return draft && stored ? { ...draft, file: stored.file } : undefined;
+}
+
+export function deleteDraft(key) {
+  return tx(["drafts", "files"], "readwrite", (s) => {
+    s.files.delete(key);
+    return s.drafts.delete(key);
+  });
+}
+
+export function clearDrafts() {
+  return tx(["drafts", "files", "session"], "readwrite", (s) => {
+    s.files.clear();
+    s.session.clear();
+    return s.drafts.clear();
+  });
+}
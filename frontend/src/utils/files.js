@@ -0,0 +1,3 @@
+// --------- FILE NAMES ----------
+// "dir/photo.jpg" -> "dir/photo"
+export const baseName = (name) => (name || "").replace(/\.[^.]+$/, "");
@@ -0,0 +1,157 @@
+// --------- GEOMETRY (image coordinates, polygons are [[x,y], ...]) ----------
+export function centroid(poly) {
+  if (!poly?.length) return [0, 0];
+  let sx = 0, sy = 0;
+  for (const [x, y] of poly) { sx += x; sy += y; }
+  return [sx / poly.length, sy / poly.length];
+}
+
+export function pointInPoly(x, y, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i], [xj, yj] = poly[j];
+    const intersect = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+export function area(pts) {
+  // polygon area (shoelace)
+  let s = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    s += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(s / 2);
+}
+
+// [minX, minY, width, height]
+export function bbox(pts) {
+  const xs = pts.map((q) => q[0]);
+  const ys = pts.map((q) => q[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  return [minX, minY, maxX - minX, maxY - minY];
+}
+
+// True when two edges of the ring cross. Edges that only touch or overlap (e.g. the zero-width
+// bridges of `bridge`) do not count.
+export function ringSelfIntersects(ring) {
+  const n = ring.length;
+  const orient = ([ax, ay], [bx, by], [cx, cy]) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+  for (let i = 0; i < n; i++) {
+    const a = ring[i], b = ring[(i + 1) % n];
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // neighbours through the closing edge
+      const c = ring[j], d = ring[(j + 1) % n];
+      if (Math.max(a[0], b[0]) < Math.min(c[0], d[0]) || Math.max(c[0], d[0]) < Math.min(a[0], b[0])) continue;
+      if (Math.max(a[1], b[1]) < Math.min(c[1], d[1]) || Math.max(c[1], d[1]) < Math.min(a[1], b[1])) continue;
+      const o1 = orient(a, b, c), o2 = orient(a, b, d), o3 = orient(c, d, a), o4 = orient(c, d, b);
+      if (o1 && o2 && o3 && o4 && o1 !== o2 && o3 !== o4) return true;
+    }
+  }
+  return false;
+}
+
+// Closest point on the polygon outline; insert a vertex at `index + 1` to split that edge
+export function nearestEdge(x, y, poly) {
+  let best = null;
+  for (let i = 0; i < poly.length; i++) {
+    const [x1, y1] = poly[i];
+    const [x2, y2] = poly[(i + 1) % poly.length];
+    const dx = x2 - x1, dy = y2 - y1;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / len2)) : 0;
+    const px = x1 + t * dx, py = y1 + t * dy;
+    const dist = Math.hypot(x - px, y - py);
+    if (!best || dist < best.dist) best = { index: i, point: [px, py], dist };
+  }
+  return best;
+}
+
+// --------- SHAPES (objects made of several rings) ----------
+// An annotation is {points, rings?}: `points` is the main outer ring, `rings` holds further outer
+// parts and holes. All rings together are filled with the even-odd rule, so a ring is a hole when it
+// lies inside an odd number of other rings.
+export const allRings = (p) => (p.rings?.length ? [p.points, ...p.rings] : [p.points]);
+
+// Ring `r` of a shape (0 = points) and the field update that replaces it
+export const getRing = (p, r) => (r === 0 ? p.points : p.rings[r - 1]);
+export const ringUpdate = (p, r, ring) =>
+  r === 0 ? { points: ring } : { rings: p.rings.map((q, k) => (k === r - 1 ? ring : q)) };
+
+export function ringDepths(rings) {
+  return rings.map((ring, i) => {
+    const [x, y] = ring[0];
+    return rings.reduce((n, other, j) => n + (j !== i && pointInPoly(x, y, other) ? 1 : 0), 0);
+  });
+}
+
+export function pointInShape(x, y, p) {
+  return allRings(p).reduce((inside, ring) => (pointInPoly(x, y, ring) ? !inside : inside), false);
+}
+
+// outer parts minus holes
+export function shapeArea(p) {
+  const rings = allRings(p);
+  const depths = ringDepths(rings);
+  return rings.reduce((s, ring, i) => s + (depths[i] % 2 ? -area(ring) : area(ring)), 0);
+}
+
+export const shapeBbox = (p) => bbox(allRings(p).flat());
+
+// [{outer, holes}] grouping every hole with the outer ring directly around it
+export function shapeParts(p) {
+  const rings = allRings(p);
+  const depths = ringDepths(rings);
+  const parts = rings.map((ring, i) => ({ ring, i })).filter(({ i }) => depths[i] % 2 === 0).map(({ ring, i }) => ({ outer: ring, i, holes: [] }));
+  rings.forEach((ring, i) => {
+    if (depths[i] % 2 === 0) return;
+    const [x, y] = ring[0];
+    // the containing outer ring with the deepest nesting
+    const owner = parts
+      .filter((part) => pointInPoly(x, y, part.outer))
+      .sort((a, b) => depths[b.i] - depths[a.i])[0];
+    if (owner) owner.holes.push(ring);
+  });
+  return parts.map(({ outer, holes }) => ({ outer, holes }));
+}
+
+// Join two rings with a zero-width bridge between their closest vertices. The result is a single
+// ring that fills like the two rings under the even-odd rule (used for formats without holes).
+export function bridge(a, b) {
+  let best = { i: 0, j: 0, d: Infinity };
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const d = (a[i][0] - b[j][0]) ** 2 + (a[i][1] - b[j][1]) ** 2;
+      if (d < best.d) best = { i, j, d };
+    }
+  }
+  const { i, j } = best;
+  return [...a.slice(0, i + 1), ...b.slice(j), ...b.slice(0, j + 1), ...a.slice(i)];
+}
+
+// One simple ring per part with its holes bridged in
+export const bridgedParts = (p) => shapeParts(p).map(({ outer, holes }) => holes.reduce(bridge, outer));
+
+// Everything in a single ring (YOLO and VOC store one polygon per object)
+export const bridgedShape = (p) => bridgedParts(p).reduce(bridge);
+
+// The shape of a SAM mask {polygons, holes}: the largest contour is the main ring, the other
+// parts and every hole go to `rings`
+export function maskShape(mask) {
+  const order = mask.polygons.map((_, i) => i).sort((a, b) => area(mask.polygons[b]) - area(mask.polygons[a]));
+  const [main, ...others] = order;
+  const rings = [...others.map((i) => mask.polygons[i]), ...order.flatMap((i) => mask.holes?.[i] || [])];
+  return rings.length ? { points: mask.polygons[main], rings } : { points: mask.polygons[main] };
+}
+
+// The field holding ring `r`, as stored before an edit (for history entries)
+export const ringField = (p, r) => (r === 0 ? { points: p.points } : { rings: p.rings });
+
+export const translateShape = (p, dx, dy) => {
+  const move = (ring) => ring.map(([x, y]) => [x + dx, y + dy]);
+  return p.rings?.length ? { points: move(p.points), rings: p.rings.map(move) } : { points: move(p.points) };
+};
@@ -0,0 +1,73 @@
+// --------- HISTORY (undo/redo as operations) ----------
+// The editable document of an image is {points, box, polygons}. History stores the operations that
+// changed it instead of snapshots, so an entry only holds the polygons it touched. State is never
+// mutated in place, so operations keep plain references to the before/after values.
+//
+// history = {entries: [{title, ops, mergeKey?, time}], index}; entries[0..index) are applied.
+const LIMIT = 500;
+const MERGE_WINDOW_MS = 1000;
+
+export const emptyHistory = () => ({ entries: [], index: 0 });
+
+// ---- operations ----
+export const addPolygon = (polygon, index) => ({ type: "add", polygon, index });
+export const removePolygon = (polygon, index) => ({ type: "remove", polygon, index });
+// `before`/`after` hold only the changed fields, e.g. {label} or {points}
+export const updatePolygon = (id, before, after) => ({ type: "update", id, before, after });
+export const replacePolygons = (before, after) => ({ type: "replace", before, after });
+// drawing order: the polygon at index `from` ends up at index `to`
+export const movePolygon = (from, to) => ({ type: "move", from, to });
+export const setPrompt = (before, after) => ({ type: "prompt", before, after });
+
+function applyOp(doc, op, undo) {
+  const insert = () => {
+    const polygons = [...doc.polygons];
+    polygons.splice(Math.min(op.index, polygons.length), 0, op.polygon);
+    return { ...doc, polygons };
+  };
+  const remove = () => ({ ...doc, polygons: doc.polygons.filter((p) => p.id !== op.polygon.id) });
+
+  switch (op.type) {
+    case "add": return undo ? remove() : insert();
+    case "remove": return undo ? insert() : remove();
+    case "update": {
+      const fields = undo ? op.before : op.after;
+      return { ...doc, polygons: doc.polygons.map((p) => (p.id === op.id ? { ...p, ...fields } : p)) };
+    }
+    case "move": {
+      const polygons = [...doc.polygons];
+      const [moved] = polygons.splice(undo ? op.to : op.from, 1);
+      polygons.splice(undo ? op.from : op.to, 0, moved);
+      return { ...doc, polygons };
+    }
+    case "replace": return { ...doc, polygons: undo ? op.before : op.after };
+    case "prompt": return { ...doc, ...(undo ? op.before : op.after) };
+    default: throw new Error(`Unknown history operation ${op.type}`);
+  }
+}
+
+export function applyOps(doc, ops, undo = false) {
+  const list = undo ? [...ops].reverse() : ops;
+  return list.reduce((d, op) => applyOp(d, op, undo), doc);
+}
+
+// Drops the redo branch; merges into the previous entry when it has the same mergeKey and is recent
+export function pushEntry(history, entry) {
+  const entries = history.entries.slice(0, history.index);
+  const last = entries[entries.length - 1];
+  if (entry.mergeKey && last?.mergeKey === entry.mergeKey && entry.time - last.time < MERGE_WINDOW_MS) {
+    entries[entries.length - 1] = { ...last, ops: [...last.ops, ...entry.ops], time: entry.time };
+  } else {
+    entries.push(entry);
+  }
+  const dropped = Math.max(0, entries.length - LIMIT);
+  return { entries: entries.slice(dropped), index: entries.length - dropped };
+}
+
+// Undo/redo across several entries to reach `target` applied entries
+export function travel(doc, history, target) {
+  let d = doc;
+  for (let i = history.index; i > target; i--) d = applyOps(d, history.entries[i - 1].ops, true);
+  for (let i = history.index; i < target; i++) d = applyOps(d, history.entries[i].ops);
+  return d;
+}
@@ -0,0 +1,83 @@
+import { parseAttributes, inferAttribute } from "./attributes";
+
+// --------- LABEL TAXONOMY ----------
+// A label set is an ordered list of classes {name, color, attributes?}; the hotkey of a class is its
+// position (1-9). `attributes` is the per-object attribute schema of the class (see attributes.js).
+const STORAGE_KEY = "annotate-easy.labels";
+
+export const PALETTE = ["#22c55e", "#ef4444", "#3b82f6", "#f59e0b", "#a855f7", "#06b6d4", "#ec4899", "#84cc16", "#f97316", "#64748b"];
+
+export const DEFAULT_LABELS = [{ name: "Object", color: PALETTE[0] }];
+
+export const normalizeName = (name) => (name || "").trim();
+
+export function findLabel(labels, name) {
+  const key = normalizeName(name).toLowerCase();
+  return labels.find((l) => l.name.toLowerCase() === key);
+}
+
+export function labelColor(labels, name) {
+  return findLabel(labels, name)?.color || "#9ca3af";
+}
+
+export function hotkeyFor(index) {
+  return index < 9 ? String(index + 1) : null;
+}
+
+export function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+// Add classes for names that are not in the set yet (e.g. labels coming from an import)
+export function withLabels(labels, names) {
+  const next = [...labels];
+  for (const raw of names) {
+    const name = normalizeName(raw);
+    if (name && !findLabel(next, name)) next.push({ name, color: PALETTE[next.length % PALETTE.length] });
+  }
+  return next;
+}
+
+export function loadLabels() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) && stored.length ? stored : DEFAULT_LABELS;
+  } catch {
+    return DEFAULT_LABELS;
+  }
+}
+
+export function saveLabels(labels) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(labels));
+}
+
+// Extend class schemas with attributes that imported objects carry but the class does not define yet
+export function withAttributeSchema(labels, polygons) {
+  return labels.map((l) => {
+    const schema = [...(l.attributes || [])];
+    for (const p of polygons) {
+      if (findLabel([l], p.label) !== l || !p.attributes) continue;
+      for (const [name, value] of Object.entries(p.attributes)) {
+        if (!schema.some((a) => a.name === name)) schema.push(inferAttribute(name, value));
+      }
+    }
+    return schema.length === (l.attributes || []).length ? l : { ...l, attributes: schema };
+  });
+}
+
+// Accepts {labels:[{name, color, attributes?}]} or a plain array of classes / names
+export function parseLabelSet(data) {
+  const list = Array.isArray(data) ? data : data?.labels;
+  if (!Array.isArray(list)) throw new Error("Invalid label set");
+  const labels = [];
+  for (const item of list) {
+    const name = normalizeName(typeof item === "string" ? item : item?.name);
+    if (!name || findLabel(labels, name)) continue;
+    const color = /^#[0-9a-f]{6}$/i.test(item?.color) ? item.color : PALETTE[labels.length % PALETTE.length];
+    const attributes = parseAttributes(item?.attributes);
+    labels.push(attributes.length ? { name, color, attributes } : { name, color });
+  }
+  if (!labels.length) throw new Error("Label set is empty");
+  return labels;
+}
@@ -0,0 +1,56 @@
+import { crc32 } from "./zip";
+
+// --------- PNG encoder (grayscale / RGBA, 8 or 16 bit) ----------
+// Canvas toBlob() always writes RGBA, label masks need exact single-channel values.
+const COLOR_TYPE = { gray: 0, rgba: 6 };
+const CHANNELS = { gray: 1, rgba: 4 };
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+async function zlib(bytes) {
+  // "deflate" is zlib-wrapped deflate, which is what IDAT expects
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// pixels: Uint8Array (8 bit) or Uint16Array (16 bit), row-major, `channels` values per pixel
+export async function encodePNG(width, height, pixels, { color = "gray", bitDepth = 8 } = {}) {
+  const bpp = CHANNELS[color] * (bitDepth / 8);
+  const stride = width * bpp;
+  const raw = new Uint8Array((stride + 1) * height); // filter byte 0 per row
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1) + 1;
+    if (bitDepth === 8) {
+      raw.set(pixels.subarray(y * stride, (y + 1) * stride), row);
+    } else {
+      const n = width * CHANNELS[color];
+      for (let i = 0; i < n; i++) {
+        const v = pixels[y * n + i];
+        raw[row + 2 * i] = v >> 8;      // PNG is big-endian
+        raw[row + 2 * i + 1] = v & 255;
+      }
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = COLOR_TYPE[color];
+
+  const signature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+  const parts = [signature, chunk("IHDR", ihdr), chunk("IDAT", await zlib(raw)), chunk("IEND", new Uint8Array(0))];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
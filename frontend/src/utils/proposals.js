@@ -0,0 +1,40 @@
+import { shapeBbox } from "./geometry";
+import { shapeIoU } from "./boolean";
+
+// --------- AUTO-ANNOTATION ("segment everything") ----------
+// The image is covered with single-point prompts; every result is a proposal {score, points, rings?}.
+// Neighbouring prompts often find the same object, so duplicates are suppressed before the user sees them.
+
+// `perSide` x `perSide` points at the centres of a regular grid over the image
+export function gridPrompts(width, height, perSide) {
+  const prompts = [];
+  for (let r = 0; r < perSide; r++) {
+    for (let c = 0; c < perSide; c++) prompts.push([((c + 0.5) * width) / perSide, ((r + 0.5) * height) / perSide]);
+  }
+  return prompts;
+}
+
+const overlaps = ([ax, ay, aw, ah], [bx, by, bw, bh]) => ax <= bx + bw && bx <= ax + aw && ay <= by + bh && by <= ay + ah;
+
+// Proposals scoring at least `minScore`, best first. Going down the list, a proposal whose IoU with an
+// already kept proposal or with an existing annotation reaches `maxIoU` is dropped as a duplicate.
+export function suppressDuplicates(proposals, existing, { minScore, maxIoU }) {
+  const kept = existing.map((p) => ({ shape: p, box: shapeBbox(p) }));
+  const result = [];
+  const sorted = proposals.filter((p) => p.score >= minScore).sort((a, b) => b.score - a.score);
+  for (const p of sorted) {
+    const box = shapeBbox(p);
+    const duplicate = kept.some((k) => {
+      if (!overlaps(box, k.box)) return false;
+      try {
+        return shapeIoU(p, k.shape) >= maxIoU;
+      } catch {
+        return false; // degenerate rings the clipper cannot handle
+      }
+    });
+    if (duplicate) continue;
+    kept.push({ shape: p, box });
+    result.push(p);
+  }
+  return result;
+}
@@ -0,0 +1,26 @@
+// --------- IMAGE PYRAMID ----------
+// Downsampled copies of a large image, each half the size of the previous one. Drawing a level close
+// to the on-screen size is much cheaper than scaling the full-resolution image down every frame.
+export function buildPyramid(img, minSide = 512) {
+  const levels = [{ scale: 1, image: img }];
+  let src = img;
+  let w = img.width, h = img.height;
+  while (Math.max(w, h) / 2 >= minSide) {
+    w = Math.round(w / 2); h = Math.round(h / 2);
+    const canvas = document.createElement("canvas");
+    canvas.width = w; canvas.height = h;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(src, 0, 0, w, h);
+    levels.push({ scale: w / img.width, image: canvas });
+    src = canvas;
+  }
+  return levels;
+}
+
+// The smallest level that still has at least one pixel per screen pixel
+export function pickLevel(levels, zoom, pixelRatio = window.devicePixelRatio || 1) {
+  const needed = zoom * pixelRatio;
+  for (let i = levels.length - 1; i > 0; i--) if (levels[i].scale >= needed) return levels[i];
+  return levels[0];
+}
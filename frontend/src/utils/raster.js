@@ -0,0 +1,35 @@
+// --------- RASTERIZATION ----------
+// Scanline fill sampled at pixel centres, no anti-aliasing, so every pixel gets exactly one value.
+// `rings` is a list of closed rings [[x,y], ...]; overlapping rings follow the even-odd rule.
+export function fillRings(buffer, width, height, rings, value) {
+  const edges = [];
+  let top = Infinity, bottom = -Infinity;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [x1, y1] = ring[j], [x2, y2] = ring[i];
+      if (y1 === y2) continue;
+      edges.push(y1 < y2 ? [x1, y1, x2, y2] : [x2, y2, x1, y1]);
+      top = Math.min(top, y1, y2);
+      bottom = Math.max(bottom, y1, y2);
+    }
+  }
+  if (!edges.length) return;
+
+  const minY = Math.max(0, Math.floor(top));
+  const maxY = Math.min(height - 1, Math.ceil(bottom));
+  const xs = [];
+  for (let y = minY; y <= maxY; y++) {
+    const cy = y + 0.5;
+    xs.length = 0;
+    for (const [x1, y1, x2, y2] of edges) {
+      if (cy >= y1 && cy < y2) xs.push(x1 + ((cy - y1) * (x2 - x1)) / (y2 - y1));
+    }
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      // pixels whose centre lies inside the span
+      const from = Math.max(0, Math.ceil(xs[k] - 0.5));
+      const to = Math.min(width - 1, Math.ceil(xs[k + 1] - 0.5) - 1);
+      if (to >= from) buffer.fill(value, y * width + from, y * width + to + 1);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+// --------- KEYBOARD SHORTCUTS ----------
+// Combos are strings like "Ctrl+Shift+Z", "Delete", "1"; Cmd on macOS counts as Ctrl.
+const STORAGE_KEY = "annotate-easy.shortcuts";
+
+const KEY_NAMES = { " ": "Space", Esc: "Escape", Del: "Delete", Left: "ArrowLeft", Right: "ArrowRight", Up: "ArrowUp", Down: "ArrowDown" };
+
+// null for bare modifier presses
+export function comboFromEvent(e) {
+  if (["Control", "Shift", "Alt", "Meta"].includes(e.key)) return null;
+  let key = KEY_NAMES[e.key] || e.key;
+  if (key.length === 1) key = key.toUpperCase();
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  // Shift is part of printable symbols ("?", "{"), only keep it for letters and named keys
+  if (e.shiftKey && (key.length > 1 || /[A-Z]/.test(key))) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+export const isTypingTarget = (el) => /^(INPUT|TEXTAREA|SELECT)$/.test(el?.tagName) || el?.isContentEditable;
+
+// User overrides only: {actionId: [combo, ...]}; everything else uses the action defaults
+export function loadBindings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveBindings(overrides) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+}
+
+export const keysFor = (action, overrides) => overrides[action.id] ?? action.keys ?? [];
+
+// First action bound to `combo` whose `when()` holds; contextual actions are listed before general ones
+export function findAction(actions, overrides, combo) {
+  return actions.find((a) => keysFor(a, overrides).includes(combo) && (!a.when || a.when()));
+}
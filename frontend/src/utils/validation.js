@@ -0,0 +1,87 @@
+import { allRings, area, ringSelfIntersects, shapeArea } from "./geometry";
+
+// --------- ANNOTATION QA ----------
+// Rules that flag polygons before they are exported. An issue can be waived per polygon
+// (`waived: [ruleId]`), e.g. when a thin object really is that thin. Reviews are stored on the
+// polygon as `review: {status: "accepted" | "rejected", comment, reviewer, time}`.
+export const MIN_AREA_PX = 4;
+// 4πA/P² is 1 for a circle; a 1 x 150 rectangle is about 0.08
+const MIN_COMPACTNESS = 0.02;
+
+const perimeter = (ring) => ring.reduce((s, [x, y], i) => {
+  const [nx, ny] = ring[(i + 1) % ring.length];
+  return s + Math.hypot(nx - x, ny - y);
+}, 0);
+
+// Names the tool gives objects that were never classified
+export const isDefaultLabel = (label) => !label || /^(object|obj_\d+)$/i.test(label.trim());
+
+export const QA_RULES = [
+  {
+    id: "selfIntersection",
+    title: "Self-intersecting",
+    check: (p) => allRings(p).some(ringSelfIntersects) && "Edges of the outline cross each other",
+  },
+  {
+    id: "sliver",
+    title: "Sliver",
+    check: (p) => {
+      const a = shapeArea(p);
+      if (a < MIN_AREA_PX) return `Area is only ${a.toFixed(1)} px²`;
+      const compactness = (4 * Math.PI * area(p.points)) / perimeter(p.points) ** 2;
+      return compactness < MIN_COMPACTNESS && "Long and nearly without area";
+    },
+  },
+  {
+    id: "outOfBounds",
+    title: "Outside the image",
+    check: (p, { width, height }) => {
+      if (!width || !height) return false;
+      const n = allRings(p).flat().filter(([x, y]) => x < 0 || y < 0 || x > width || y > height).length;
+      return n > 0 && `${n} vertices outside ${width}x${height}`;
+    },
+  },
+  {
+    id: "defaultLabel",
+    title: "Default label",
+    check: (p) => isDefaultLabel(p.label) && `Still labelled "${p.label || ""}"`,
+  },
+];
+
+export const ruleTitle = (id) => QA_RULES.find((r) => r.id === id)?.title || id;
+
+// Polygons are never mutated, so their findings are cached until the polygon or the image size changes
+const cache = new WeakMap(); // polygon -> {size, found: [{rule, message}]}
+function check(p, im) {
+  const size = `${im.width}x${im.height}`;
+  if (cache.get(p)?.size !== size) {
+    const found = QA_RULES.map((rule) => ({ rule: rule.id, message: rule.check(p, im) })).filter((f) => f.message);
+    cache.set(p, { size, found });
+  }
+  return cache.get(p).found;
+}
+
+// [{polygonId, index, rule, message, waived}] for the polygons of one image ({polygons, width, height})
+export function validateImage(im) {
+  return im.polygons.flatMap((p, index) =>
+    check(p, im).map(({ rule, message }) => ({ polygonId: p.id, index, rule, message, waived: !!p.waived?.includes(rule) }))
+  );
+}
+
+// Issues that still block an export
+export const openIssues = (issues) => issues.filter((i) => !i.waived);
+
+// "Block export while issues are open" is a browser setting
+const STORAGE_KEY = "annotate-easy.qa-block-export";
+
+export function loadBlockExport() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) === true;
+  } catch {
+    return false;
+  }
+}
+
+export function saveBlockExport(block) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(block));
+}
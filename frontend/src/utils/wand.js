@@ -0,0 +1,250 @@
+// --------- MAGIC WAND (segmentation in the browser, no backend) ----------
+// Masks are Uint8Arrays of width * height with 1 for selected pixels. traceMask turns a mask into
+// {polygons, holes} in the same shape as a SAM mask from /segment, so both become polygons the same way.
+
+// RGBA pixels of an image, read once through a canvas
+export function imagePixels(img) {
+  const canvas = document.createElement("canvas");
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, img.width, img.height);
+}
+
+// Largest difference in any color channel between two pixels (RGBA offsets)
+const colorDist = (data, i, j) =>
+  Math.max(Math.abs(data[i] - data[j]), Math.abs(data[i + 1] - data[j + 1]), Math.abs(data[i + 2] - data[j + 2]));
+
+// Every pixel 4-connected to a seed whose color is within `tolerance` (0-255 per channel) of that
+// seed's color. Several seeds select the union of their regions.
+export function floodFill({ data, width, height }, seeds, tolerance) {
+  const mask = new Uint8Array(width * height); // 0 untested, 1 selected, 2 rejected
+  for (const [sx, sy] of seeds) {
+    const x0 = Math.floor(sx), y0 = Math.floor(sy);
+    if (x0 < 0 || y0 < 0 || x0 >= width || y0 >= height || mask[y0 * width + x0] === 1) continue;
+    const seed = (y0 * width + x0) * 4;
+    // rejections are per seed, another seed's color may accept them
+    for (let i = 0; i < mask.length; i++) if (mask[i] === 2) mask[i] = 0;
+    const stack = [y0 * width + x0];
+    mask[stack[0]] = 1;
+    const visit = (i) => {
+      if (mask[i]) return;
+      mask[i] = colorDist(data, i * 4, seed) <= tolerance ? 1 : 2;
+      if (mask[i] === 1) stack.push(i);
+    };
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width;
+      if (x > 0) visit(i - 1);
+      if (x < width - 1) visit(i + 1);
+      if (i >= width) visit(i - width);
+      if (i < mask.length - width) visit(i + width);
+    }
+  }
+  for (let i = 0; i < mask.length; i++) if (mask[i] === 2) mask[i] = 0;
+  return mask;
+}
+
+// Colors are counted in 16 x 16 x 16 bins
+const colorBin = (data, i) => ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+const BINS = 4096;
+
+// GrabCut-style foreground extraction inside a box [x1, y1, x2, y2]. Pixels around the box are
+// background; inside it, each pixel goes to the color model (histogram) that explains it better, the
+// models are re-estimated from the result and a 3x3 majority vote smooths the mask between rounds
+// (instead of the graph cut of real GrabCut).
+export function grabCut({ data, width, height }, box, iterations = 5) {
+  const bx0 = Math.max(0, Math.floor(Math.min(box[0], box[2])));
+  const by0 = Math.max(0, Math.floor(Math.min(box[1], box[3])));
+  const bx1 = Math.min(width, Math.ceil(Math.max(box[0], box[2])));
+  const by1 = Math.min(height, Math.ceil(Math.max(box[1], box[3])));
+  const mask = new Uint8Array(width * height);
+  if (bx1 - bx0 < 3 || by1 - by0 < 3) return mask;
+
+  // background samples: a band around the box, or the box border when the box fills the image
+  const margin = Math.max(4, Math.round(0.1 * Math.max(bx1 - bx0, by1 - by0)));
+  const bgBase = new Float64Array(BINS);
+  let bgBaseCount = 0;
+  for (let y = Math.max(0, by0 - margin); y < Math.min(height, by1 + margin); y++) {
+    for (let x = Math.max(0, bx0 - margin); x < Math.min(width, bx1 + margin); x++) {
+      if (x >= bx0 && x < bx1 && y >= by0 && y < by1) continue;
+      bgBase[colorBin(data, (y * width + x) * 4)]++;
+      bgBaseCount++;
+    }
+  }
+  const border = (x, y) => x === bx0 || y === by0 || x === bx1 - 1 || y === by1 - 1;
+  if (!bgBaseCount) {
+    for (let y = by0; y < by1; y++) {
+      for (let x = bx0; x < bx1; x++) {
+        if (!border(x, y)) continue;
+        bgBase[colorBin(data, (y * width + x) * 4)]++;
+        bgBaseCount++;
+      }
+    }
+  }
+
+  // start with everything inside the box but its border as foreground
+  for (let y = by0 + 1; y < by1 - 1; y++) mask.fill(1, y * width + bx0 + 1, y * width + bx1 - 1);
+
+  const fg = new Float64Array(BINS), bg = new Float64Array(BINS);
+  for (let it = 0; it < iterations; it++) {
+    fg.fill(0);
+    bg.set(bgBase);
+    let fgCount = 0, bgCount = bgBaseCount;
+    for (let y = by0; y < by1; y++) {
+      for (let x = bx0; x < bx1; x++) {
+        const i = y * width + x;
+        if (mask[i]) { fg[colorBin(data, i * 4)]++; fgCount++; } else { bg[colorBin(data, i * 4)]++; bgCount++; }
+      }
+    }
+    if (!fgCount) break;
+    for (let y = by0 + 1; y < by1 - 1; y++) {
+      for (let x = bx0 + 1; x < bx1 - 1; x++) {
+        const i = y * width + x, k = colorBin(data, i * 4);
+        mask[i] = (fg[k] + 1) / (fgCount + BINS) > (bg[k] + 1) / (bgCount + BINS) ? 1 : 0;
+      }
+    }
+    smooth(mask, width, bx0, by0, bx1, by1);
+  }
+  return mask;
+}
+
+// 3x3 majority vote inside a box, the box border stays background
+function smooth(mask, width, bx0, by0, bx1, by1) {
+  const copy = mask.slice();
+  for (let y = by0 + 1; y < by1 - 1; y++) {
+    for (let x = bx0 + 1; x < bx1 - 1; x++) {
+      const i = y * width + x;
+      const n = copy[i - width - 1] + copy[i - width] + copy[i - width + 1] + copy[i - 1] + copy[i] + copy[i + 1] +
+        copy[i + width - 1] + copy[i + width] + copy[i + width + 1];
+      mask[i] = n >= 5 ? 1 : 0;
+    }
+  }
+}
+
+// --------- MASK TRACING ----------
+// Outlines follow pixel edges, so a traced polygon rasterizes back to the same pixels. Regions are
+// 8-connected, holes are the 4-connected background areas they enclose. Regions and holes smaller than
+// `minArea` pixels are dropped and the outlines are simplified with Douglas-Peucker (`epsilon` pixels).
+export function traceMask(mask, width, height, { epsilon = 1, minArea = 50 } = {}) {
+  // work on the bounding box of the mask, padded by one background pixel
+  let x0 = width, y0 = height, x1 = -1, y1 = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    }
+  }
+  if (x1 < 0) return { polygons: [], holes: [] };
+  const W = x1 - x0 + 3, H = y1 - y0 + 3;
+  const grid = new Uint8Array(W * H);
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) grid[(y - y0 + 1) * W + (x - x0 + 1)] = mask[y * width + x];
+  }
+
+  // connected components: regions (value 1, 8-connected) and background (value 0, 4-connected).
+  // Scanning in row order finds each component at its topmost-leftmost pixel.
+  const comp = new Int32Array(W * H).fill(-1);
+  const comps = []; // {fg, start, size}
+  const stack = [];
+  for (let start = 0; start < grid.length; start++) {
+    if (comp[start] !== -1) continue;
+    const fg = grid[start] === 1;
+    const id = comps.length;
+    let size = 0;
+    comp[start] = id;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      size++;
+      const x = i % W, y = (i - x) / W;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((!dx && !dy) || (!fg && dx && dy)) continue;
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= W || ny >= H) continue;
+          const j = ny * W + nx;
+          if (comp[j] === -1 && grid[j] === grid[start]) {
+            comp[j] = id;
+            stack.push(j);
+          }
+        }
+      }
+    }
+    comps.push({ fg, start, size });
+  }
+
+  const toImage = (ring) => ring.map(([x, y]) => [x + x0 - 1, y + y0 - 1]);
+  const outline = (id) => simplifyRing(toImage(traceBoundary(comp, W, comps[id].start, id)), epsilon);
+
+  // component 0 holds the padding, i.e. the background outside every region
+  const parts = new Map(); // region id -> {outer, holes}
+  comps.forEach((c, id) => {
+    if (c.fg && c.size >= minArea) parts.set(id, { outer: outline(id), holes: [], size: c.size });
+  });
+  comps.forEach((c, id) => {
+    if (c.fg || id === 0 || c.size < minArea) return;
+    // the pixel above the top of a hole belongs to the region around it
+    const part = parts.get(comp[c.start - W]);
+    if (part) part.holes.push(outline(id));
+  });
+
+  // largest region first
+  const list = [...parts.values()].filter((p) => p.outer.length >= 3).sort((a, b) => b.size - a.size);
+  return { polygons: list.map((p) => p.outer), holes: list.map((p) => p.holes.filter((h) => h.length >= 3)) };
+}
+
+// Walks the pixel edges around component `id` starting at the top-left corner of its first pixel,
+// keeping the component on the right. Diagonal neighbors count as connected. Returns the corners.
+function traceBoundary(comp, W, start, id) {
+  const inside = (x, y) => x >= 0 && y >= 0 && x < W && comp[y * W + x] === id;
+  const sx = start % W, sy = (start - sx) / W;
+  let x = sx, y = sy, dx = 1, dy = 0;
+  const ring = [[sx, sy]];
+  for (let guard = 4 * comp.length + 4; guard > 0; guard--) {
+    x += dx;
+    y += dy;
+    if (x === sx && y === sy) break;
+    // the two pixels ahead of corner (x, y), left and right of the direction of travel
+    const rx = -dy, ry = dx;
+    const left = inside(Math.floor(x + (dx - rx) / 2), Math.floor(y + (dy - ry) / 2));
+    const right = inside(Math.floor(x + (dx + rx) / 2), Math.floor(y + (dy + ry) / 2));
+    let ndx = dx, ndy = dy;
+    if (left) { ndx = dy; ndy = -dx; } else if (!right) { ndx = rx; ndy = ry; }
+    if (ndx !== dx || ndy !== dy) ring.push([x, y]);
+    dx = ndx;
+    dy = ndy;
+  }
+  return ring;
+}
+
+// Douglas-Peucker on a closed ring: split it at the vertex farthest from the first one
+function simplifyRing(ring, epsilon) {
+  if (ring.length < 4 || epsilon <= 0) return ring;
+  let far = 0, best = -1;
+  ring.forEach(([x, y], i) => {
+    const d = Math.hypot(x - ring[0][0], y - ring[0][1]);
+    if (d > best) { best = d; far = i; }
+  });
+  const a = simplifyLine(ring.slice(0, far + 1), epsilon);
+  const b = simplifyLine([...ring.slice(far), ring[0]], epsilon);
+  return [...a.slice(0, -1), ...b.slice(0, -1)];
+}
+
+function simplifyLine(pts, epsilon) {
+  if (pts.length < 3) return pts;
+  const [ax, ay] = pts[0], [bx, by] = pts[pts.length - 1];
+  const len = Math.hypot(bx - ax, by - ay);
+  let index = 0, dmax = 0;
+  for (let i = 1; i < pts.length - 1; i++) {
+    const [px, py] = pts[i];
+    const d = len ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len : Math.hypot(px - ax, py - ay);
+    if (d > dmax) { dmax = d; index = i; }
+  }
+  if (dmax <= epsilon) return [pts[0], pts[pts.length - 1]];
+  return [...simplifyLine(pts.slice(0, index + 1), epsilon).slice(0, -1), ...simplifyLine(pts.slice(index), epsilon)];
+}